@@ -0,0 +1,79 @@
+import express from "express";
+import cors from "cors";
+import adminRoutes from "./routers/admin.js";
+import authRoutes from "./routers/auth.js";
+import orderRoutes from "./routers/order.js";
+import productRoutes from "./routers/product.js";
+import reviewRoutes from "./routers/review.js";
+import cartRoutes from "./routers/cart.js";
+import couponRoutes from "./routers/coupon.js";
+import driverRoutes from "./routers/driver.js";
+import notificationRoutes from "./routers/notification.js";
+import paymentRoutes from "./routers/payment.js";
+import shippingRoutes from "./routers/shipping.js";
+import taxRoutes from "./routers/tax.js";
+import userRoutes from "./routers/user.js";
+import vendorRoutes from "./routers/vendor.js";
+import { GUEST_CART_HEADER } from "./services/guestCarts.js";
+
+// The server without its database connection, so it can be tested
+const app = express();
+
+// Middleware
+// Let browsers read the token of new guest carts
+app.use(cors({ exposedHeaders: [GUEST_CART_HEADER] }));
+// Keep the raw body for verifying webhook signatures
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// Routes
+app.use("/api/auth", authRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/products", productRoutes);
+app.use("/api/products/:productId/reviews", reviewRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/drivers", driverRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/vendors", vendorRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/tax-rules", taxRoutes);
+app.use("/api/shipping-zones", shippingRoutes);
+
+// Basic route
+app.get("/", (req, res) => {
+  res.json({
+    message: "Welcome to the delivery factory API",
+    version: "1.0.0",
+    endpoints: {
+      auth: "/api/auth",
+      products: "/api/products",
+      cart: "/api/cart",
+      orders: "/api/orders",
+      coupons: "/api/coupons",
+      users: "/api/users",
+      drivers: "/api/drivers",
+      notifications: "/api/notifications",
+      payments: "/api/payments",
+      vendors: "/api/vendors",
+      admin: "/api/admin",
+      taxRules: "/api/tax-rules",
+      shippingZones: "/api/shipping-zones",
+    },
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ message: "Something went wrong!" });
+});
+
+export default app;
@@ -1,50 +1,27 @@
 import "dotenv/config";
-import express from "express";
 import mongoose from "mongoose";
-import cors from "cors";
-import authRoutes from "./routes/auth.js";
-import orderRoutes from "./routes/orders.js";
-import productRoutes from "./routes/products.js";
-import cartRoutes from "./routes/cart.js";
-
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Routes
-app.use("/api/auth", authRoutes);
-app.use("/api/orders", orderRoutes);
-app.use("/api/products", productRoutes);
-app.use("/api/cart", cartRoutes);
+import app from "./app.js";
+import Cart from "./models/Cart.js";
+import { startDispatchSweeper } from "./services/dispatch.js";
+import { startOrderNotifications } from "./services/notifications.js";
+import { startReservationSweeper } from "./services/reservations.js";
 
 // MongoDB connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    // Replace the unique user index of databases created before guest
+    // carts, which rejects every cart without a user
+    Cart.syncIndexes().catch((err) =>
+      console.error("Error syncing cart indexes:", err)
+    );
+    startReservationSweeper();
+    startDispatchSweeper();
+    startOrderNotifications();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
-// Basic route
-app.get("/", (req, res) => {
-  res.json({
-    message: "Welcome to the delivery factory API",
-    version: "1.0.0",
-    endpoints: {
-      auth: "/api/auth",
-      products: "/api/products",
-      cart: "/api/cart",
-      orders: "/api/orders",
-    },
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: "Something went wrong!" });
-});
-
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
@@ -1,6 +1,30 @@
 import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
 
-const auth = (req, res, next) => {
+// Verify a bearer token and load its user. Returns null for tokens from
+// revoked sessions or issued before a password change.
+const authenticate = async (token) => {
+  const verified = jwt.verify(token, process.env.JWT_SECRET);
+
+  const [session, user] = await Promise.all([
+    Session.findById(verified.sid),
+    User.findById(verified.id),
+  ]);
+  if (
+    !session ||
+    !session.isActive() ||
+    session.user.toString() !== verified.id ||
+    !user ||
+    user.changedPasswordAfter(verified.iat)
+  ) {
+    return null;
+  }
+
+  return { verified, user };
+};
+
+const auth = async (req, res, next) => {
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "");
 
@@ -10,8 +34,15 @@ const auth = (req, res, next) => {
         .json({ message: "No authentication token, access denied" });
     }
 
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
+    const authenticated = await authenticate(token);
+    if (!authenticated) {
+      return res
+        .status(401)
+        .json({ message: "Session is no longer valid, authorization denied" });
+    }
+
+    req.user = authenticated.verified;
+    req.currentUser = authenticated.user;
     next();
   } catch (err) {
     res
@@ -20,4 +51,24 @@ const auth = (req, res, next) => {
   }
 };
 
+// Authenticate the request if it carries a valid token, otherwise continue
+// anonymously
+export const optionalAuth = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+
+  if (token) {
+    try {
+      const authenticated = await authenticate(token);
+      if (authenticated) {
+        req.user = authenticated.verified;
+        req.currentUser = authenticated.user;
+      }
+    } catch (err) {
+      // Invalid tokens are treated as anonymous
+    }
+  }
+
+  next();
+};
+
 export default auth;
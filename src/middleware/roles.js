@@ -0,0 +1,85 @@
+import User from "../models/User.js";
+
+// Load the authenticated user onto req.currentUser (must run after auth)
+export const loadUser = async (req, res, next) => {
+  try {
+    if (!req.currentUser) {
+      const user = await User.findById(req.user.id);
+
+      if (!user) {
+        return res
+          .status(401)
+          .json({ message: "User not found, authorization denied" });
+      }
+
+      req.currentUser = user;
+    }
+
+    next();
+  } catch (err) {
+    console.error("Error loading user:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Check whether the loaded user is an admin
+export const isAdmin = (req) => req.currentUser?.role === "admin";
+
+// Check whether the loaded user owns a resource or is an admin
+export const canActOn = (req, ownerId) =>
+  isAdmin(req) || ownerId?.toString() === req.currentUser?.id;
+
+// Only allow users with one of the given roles
+export const requireRole = (...roles) => [
+  loadUser,
+  (req, res, next) => {
+    if (!roles.includes(req.currentUser.role)) {
+      return res
+        .status(403)
+        .json({ message: "Unauthorized: Insufficient permissions" });
+    }
+
+    next();
+  },
+];
+
+// Only allow users who have confirmed their email address
+export const requireVerifiedEmail = [
+  loadUser,
+  (req, res, next) => {
+    if (!req.currentUser.emailVerified) {
+      return res.status(403).json({
+        message: "Email address is not verified",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    next();
+  },
+];
+
+// Only allow admins and vendors whose business has been verified
+export const requireVerifiedVendor = [
+  loadUser,
+  (req, res, next) => {
+    const user = req.currentUser;
+
+    if (user.role === "admin") {
+      return next();
+    }
+
+    if (user.role !== "vendor") {
+      return res
+        .status(403)
+        .json({ message: "Unauthorized: Vendor account required" });
+    }
+
+    if (!user.vendorInfo?.isVerified) {
+      return res
+        .status(403)
+        .json({ message: "Unauthorized: Vendor account is not verified" });
+    }
+
+    next();
+  },
+];
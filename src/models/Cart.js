@@ -1,4 +1,18 @@
 import mongoose from "mongoose";
+import Coupon from "./Coupon.js";
+import { addressSchema } from "./Order.js";
+import Product from "./Product.js";
+import { shippingOptionSchema } from "./ShippingZone.js";
+import { taxLineSchema } from "./TaxRule.js";
+import { calculateTax, calculateTotal } from "../services/pricing.js";
+import {
+  getShippingOptions,
+  selectShippingOption,
+} from "../services/shipping.js";
+import { roundMoney } from "../utils/money.js";
+import { generateToken, hashToken } from "../utils/security.js";
+
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 7;
 
 const cartItemSchema = new mongoose.Schema(
   {
@@ -30,17 +44,27 @@ const cartItemSchema = new mongoose.Schema(
     image: {
       type: String,
     },
+    // When the stock hold for this line runs out
+    reservedUntil: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
 const cartSchema = new mongoose.Schema(
   {
+    // Unset for guest carts, which are found by their token instead
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
-      unique: true,
+    },
+    guestTokenHash: {
+      type: String,
+    },
+    // Guest carts are deleted once left untouched this long
+    expiresAt: {
+      type: Date,
     },
     items: [cartItemSchema],
     subtotal: {
@@ -53,11 +77,24 @@ const cartSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Whether the tax is included in the item prices rather than added
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    // Per-line tax, once the shipping address is known
+    taxBreakdown: [taxLineSchema],
+    shippingAddress: {
+      type: addressSchema,
+    },
     shippingCost: {
       type: Number,
       default: 0,
       min: 0,
     },
+    shippingOption: {
+      type: shippingOptionSchema,
+    },
     total: {
       type: Number,
       default: 0,
@@ -75,39 +112,136 @@ const cartSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// One cart per user, and per guest token
+cartSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
+cartSchema.index(
+  { guestTokenHash: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { guestTokenHash: { $exists: true } },
+  }
+);
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Push back the expiry of guest carts whenever they change
+cartSchema.pre("save", function (next) {
+  if (!this.user) {
+    this.expiresAt = new Date(
+      Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+  }
+  next();
+});
+
 // Calculate cart totals
 cartSchema.methods.calculateTotals = async function () {
-  const TAX_RATE = 0.08; // 8% tax rate
-  const SHIPPING_THRESHOLD = 50; // Free shipping for orders over $50
-  const BASE_SHIPPING = 5.99; // Base shipping cost
-
   // Calculate subtotal
   this.subtotal = this.items.reduce((sum, item) => {
     return sum + item.discountedPrice * item.quantity;
   }, 0);
 
   // Round to 2 decimal places
-  this.subtotal = parseFloat(this.subtotal.toFixed(2));
+  this.subtotal = roundMoney(this.subtotal);
 
-  // Calculate shipping (free if subtotal is over threshold)
-  this.shippingCost = this.subtotal > SHIPPING_THRESHOLD ? 0 : BASE_SHIPPING;
+  // Quote shipping at the chosen speed, falling back to the first option
+  // when that speed is no longer available
+  const options = await this.getShippingOptions();
+  this.shippingOption =
+    selectShippingOption(options, this.shippingOption?.speed) ||
+    options[0] ||
+    null;
+  this.shippingCost = this.shippingOption ? this.shippingOption.cost : 0;
 
-  // Calculate tax
-  this.tax = parseFloat((this.subtotal * TAX_RATE).toFixed(2));
+  // Calculate tax for the shipping address, or estimate it without one
+  const { tax, taxInclusive, taxBreakdown } = await calculateTax(
+    await this.getTaxLines(),
+    this.shippingAddress
+  );
+  this.tax = tax;
+  this.taxInclusive = taxInclusive;
+  this.taxBreakdown = taxBreakdown;
+
+  // Recalculate the coupon discount against the current items
+  this.couponDiscount = 0;
+  if (this.couponCode) {
+    const coupon = await Coupon.findByCode(this.couponCode);
+
+    if (!coupon || !coupon.isRunning()) {
+      // Drop coupons that were deleted or are no longer running
+      this.couponCode = null;
+    } else {
+      this.couponDiscount = coupon.calculateDiscount({
+        lines: await this.getCouponLines(coupon),
+        subtotal: this.subtotal,
+        shippingCost: this.shippingCost,
+      });
+    }
+  }
 
   // Calculate total
-  this.total = parseFloat(
-    (
-      this.subtotal +
-      this.tax +
-      this.shippingCost -
-      this.couponDiscount
-    ).toFixed(2)
-  );
+  this.total = calculateTotal(this);
 
   return this;
 };
 
+// Quote every shipping option for the cart's items and address
+cartSchema.methods.getShippingOptions = function () {
+  return getShippingOptions(
+    this.items.map((item) => ({
+      productId: item.product,
+      quantity: item.quantity,
+      amount: item.discountedPrice * item.quantity,
+    })),
+    this.shippingAddress
+  );
+};
+
+// Describe cart lines for tax calculation
+cartSchema.methods.getTaxLines = async function () {
+  // Categories are only needed once tax rules can apply
+  const products = this.shippingAddress
+    ? await Product.find({
+        _id: { $in: this.items.map((item) => item.product) },
+      }).select("category")
+    : [];
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  return this.items.map((item) => ({
+    productId: item.product,
+    category: productsById.get(item.product.toString())?.category,
+    amount: item.discountedPrice * item.quantity,
+  }));
+};
+
+// Describe cart lines for coupon eligibility checks
+cartSchema.methods.getCouponLines = async function (coupon) {
+  // Category and vendor are only needed for restricted coupons
+  const products = coupon.hasRestrictions()
+    ? await Product.find({
+        _id: { $in: this.items.map((item) => item.product) },
+      }).select("category vendor")
+    : [];
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  return this.items.map((item) => {
+    const product = productsById.get(item.product.toString());
+
+    return {
+      productId: item.product,
+      category: product?.category,
+      vendor: product?.vendor,
+      amount: item.discountedPrice * item.quantity,
+    };
+  });
+};
+
 // Add an item to cart
 cartSchema.methods.addItem = async function (productData, quantity = 1) {
   // Check if item already exists in cart
@@ -134,6 +268,13 @@ cartSchema.methods.addItem = async function (productData, quantity = 1) {
   return this.calculateTotals();
 };
 
+// Find the cart line for a product
+cartSchema.methods.findItem = function (productId) {
+  return this.items.find(
+    (item) => item.product.toString() === productId.toString()
+  );
+};
+
 // Update item quantity
 cartSchema.methods.updateItemQuantity = async function (productId, quantity) {
   const itemIndex = this.items.findIndex(
@@ -178,7 +319,9 @@ cartSchema.methods.clearCart = async function () {
   this.items = [];
   this.subtotal = 0;
   this.tax = 0;
+  this.taxBreakdown = [];
   this.shippingCost = 0;
+  this.shippingOption = null;
   this.total = 0;
   this.couponCode = null;
   this.couponDiscount = 0;
@@ -201,4 +344,29 @@ cartSchema.statics.findOrCreateByUser = async function (userId) {
   return cart;
 };
 
+// Create an empty guest cart. Resolves to the cart and the token that
+// identifies it, which is only stored hashed.
+cartSchema.statics.createGuestCart = async function () {
+  const token = generateToken();
+  const cart = new this({ guestTokenHash: hashToken(token), items: [] });
+  await cart.save();
+
+  return { cart, token };
+};
+
+// Find the unexpired guest cart of a token
+cartSchema.statics.findByGuestToken = function (token) {
+  return this.findOne({
+    guestTokenHash: hashToken(String(token)),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Method to safely expose cart data
+cartSchema.methods.toJSON = function () {
+  const cartObject = this.toObject();
+  delete cartObject.guestTokenHash;
+  return cartObject;
+};
+
 export default mongoose.model("Cart", cartSchema);
@@ -0,0 +1,257 @@
+import mongoose from "mongoose";
+import CouponRedemption from "./CouponRedemption.js";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed", "free-shipping"],
+    },
+    // Percentage (0-100) or fixed amount, unused for free-shipping
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Cap for percentage discounts
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+    },
+    endsAt: {
+      type: Date,
+    },
+    // Global and per-user redemption limits (unlimited when unset)
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Restrict the discount to matching items (no restriction when empty)
+    categories: [
+      {
+        type: String,
+      },
+    ],
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    vendors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Check whether the coupon has any item restrictions
+couponSchema.methods.hasRestrictions = function () {
+  return (
+    this.categories.length > 0 ||
+    this.products.length > 0 ||
+    this.vendors.length > 0
+  );
+};
+
+// Check whether a line ({ productId, category, vendor }) is eligible
+couponSchema.methods.appliesTo = function (line) {
+  if (!this.hasRestrictions()) {
+    return true;
+  }
+
+  return (
+    this.categories.includes(line.category) ||
+    this.products.some((id) => id.toString() === String(line.productId)) ||
+    this.vendors.some((id) => id.toString() === String(line.vendor))
+  );
+};
+
+// Check whether the coupon is currently running
+couponSchema.methods.isRunning = function (now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && this.startsAt > now) return false;
+  if (this.endsAt && this.endsAt < now) return false;
+  return true;
+};
+
+// Explain why a user can't redeem the coupon, or return null if they can
+couponSchema.methods.getRedemptionError = async function (userId) {
+  if (!this.isRunning()) {
+    return "Coupon is not active";
+  }
+
+  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+    return "Coupon usage limit reached";
+  }
+
+  if (this.perUserLimit) {
+    const userRedemptions = await CouponRedemption.countDocuments({
+      coupon: this._id,
+      user: userId,
+    });
+    if (userRedemptions >= this.perUserLimit) {
+      return "You have already used this coupon";
+    }
+  }
+
+  return null;
+};
+
+// Calculate the discount for priced lines ({ productId, category, vendor,
+// amount }), the order subtotal and its shipping cost
+couponSchema.methods.calculateDiscount = function ({
+  lines,
+  subtotal,
+  shippingCost,
+}) {
+  if (subtotal < this.minSubtotal) {
+    return 0;
+  }
+
+  const eligibleLines = lines.filter((line) => this.appliesTo(line));
+  if (eligibleLines.length === 0) {
+    return 0;
+  }
+
+  const eligibleSubtotal = eligibleLines.reduce(
+    (sum, line) => sum + line.amount,
+    0
+  );
+
+  let discount = 0;
+  if (this.type === "percentage") {
+    discount = (eligibleSubtotal * this.value) / 100;
+    if (this.maxDiscount !== undefined && this.maxDiscount !== null) {
+      discount = Math.min(discount, this.maxDiscount);
+    }
+  } else if (this.type === "fixed") {
+    discount = Math.min(this.value, eligibleSubtotal);
+  } else if (this.type === "free-shipping") {
+    discount = shippingCost;
+  }
+
+  return parseFloat(discount.toFixed(2));
+};
+
+// Find a coupon by its code
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Record a redemption within the order's transaction, enforcing the usage
+// limits. Returns false if the coupon is no longer redeemable.
+couponSchema.statics.redeem = async function (
+  couponId,
+  { userId, orderId, discount },
+  session
+) {
+  const now = new Date();
+
+  // Concurrent redemptions all update the coupon below, so all but one
+  // transaction is retried and counts again
+  const userRedemptions = await CouponRedemption.countDocuments({
+    coupon: couponId,
+    user: userId,
+  }).session(session);
+
+  const { modifiedCount } = await this.updateOne(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+        {
+          $or: [
+            { perUserLimit: null },
+            { perUserLimit: { $gt: userRedemptions } },
+          ],
+        },
+      ],
+      $expr: {
+        $or: [
+          { $not: ["$usageLimit"] },
+          { $lt: ["$usedCount", "$usageLimit"] },
+        ],
+      },
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  await CouponRedemption.create(
+    [{ coupon: couponId, user: userId, order: orderId, discount }],
+    { session }
+  );
+
+  return true;
+};
+
+// Give back the coupon an order redeemed, if any. Returns whether there was
+// one to give back.
+couponSchema.statics.release = async function (orderId) {
+  const redemption = await CouponRedemption.findOneAndDelete({
+    order: orderId,
+  });
+  if (!redemption) {
+    return false;
+  }
+
+  await this.updateOne(
+    { _id: redemption.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+  return true;
+};
+
+// Method to safely expose coupon data
+couponSchema.methods.toJSON = function () {
+  const couponObject = this.toObject();
+  couponObject.id = couponObject._id;
+  delete couponObject._id;
+  delete couponObject.__v;
+  return couponObject;
+};
+
+export default mongoose.model("Coupon", couponSchema);
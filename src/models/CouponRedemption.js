@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// One use of a coupon, by the order it was redeemed on
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// An order redeems a coupon at most once
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+// Count a user's redemptions of a coupon against its per-user limit
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+// Find the redemption of an order when it's cancelled
+couponRedemptionSchema.index({ order: 1 });
+
+// Method to safely expose redemption data
+couponRedemptionSchema.methods.toJSON = function () {
+  const redemptionObject = this.toObject();
+  redemptionObject.id = redemptionObject._id;
+  delete redemptionObject._id;
+  delete redemptionObject.__v;
+  return redemptionObject;
+};
+
+export default mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+
+// A delivery window a vendor offers, with a limited number of orders
+const deliverySlotSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Orders booked into the slot, never above capacity
+    booked: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One slot per vendor and window start
+deliverySlotSchema.index({ vendor: 1, start: 1 }, { unique: true });
+
+// A slot booked for one vendor's part of an order
+export const bookedSlotSchema = new mongoose.Schema(
+  {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliverySlot",
+      required: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    // Set once the booking has been given back to the slot
+    releasedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// Remaining room in the slot
+deliverySlotSchema.virtual("available").get(function () {
+  return Math.max(0, this.capacity - this.booked);
+});
+
+// Book one order into a slot that is open, upcoming and not full. Resolves
+// to the updated slot, or null if it can't be booked.
+deliverySlotSchema.statics.book = function (slotId, session) {
+  return this.findOneAndUpdate(
+    {
+      _id: slotId,
+      isActive: true,
+      start: { $gt: new Date() },
+      $expr: { $lt: ["$booked", "$capacity"] },
+    },
+    { $inc: { booked: 1 } },
+    { new: true, session }
+  );
+};
+
+// Give back one booking of a slot
+deliverySlotSchema.statics.release = function (slotId, session) {
+  return this.updateOne(
+    { _id: slotId, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+};
+
+// Get the vendors' open slots starting in a date range, soonest first
+deliverySlotSchema.statics.findAvailable = function (vendorIds, { from, to }) {
+  return this.find({
+    vendor: { $in: vendorIds },
+    isActive: true,
+    start: { $gt: from, $lt: to },
+    $expr: { $lt: ["$booked", "$capacity"] },
+  }).sort({ start: 1 });
+};
+
+// Method to safely expose slot data
+deliverySlotSchema.methods.toJSON = function () {
+  const slotObject = this.toObject();
+  slotObject.id = slotObject._id;
+  slotObject.available = this.available;
+  delete slotObject._id;
+  delete slotObject.__v;
+  return slotObject;
+};
+
+const DeliverySlot = mongoose.model("DeliverySlot", deliverySlotSchema);
+
+export default DeliverySlot;
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    // [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const driverSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    vehicle: {
+      type: {
+        type: String,
+        required: true,
+        enum: ["Bicycle", "Motorcycle", "Car", "Van"],
+      },
+      model: {
+        type: String,
+      },
+      plateNumber: {
+        type: String,
+      },
+    },
+    // Users become drivers once an admin approves their profile. Unset for
+    // drivers who signed up before applications were reviewed.
+    status: {
+      type: String,
+      enum: ["Pending", "Approved", "Rejected"],
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNotes: {
+      type: String,
+    },
+    availability: {
+      type: String,
+      enum: ["offline", "available", "busy"],
+      default: "offline",
+    },
+    location: pointSchema,
+    locationUpdatedAt: {
+      type: Date,
+    },
+    // Order currently offered to the driver, awaiting accept/decline
+    pendingOffer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // Order the driver is delivering
+    currentOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+  },
+  { timestamps: true }
+);
+
+// Geospatial index for finding the nearest drivers
+driverSchema.index({ location: "2dsphere" });
+driverSchema.index({ status: 1, createdAt: 1 });
+
+// Find a driver profile by user
+driverSchema.statics.findByUser = function (userId) {
+  return this.findOne({ user: userId });
+};
+
+// Method to safely expose driver data
+driverSchema.methods.toJSON = function () {
+  const driverObject = this.toObject();
+  driverObject.id = driverObject._id;
+  delete driverObject._id;
+  delete driverObject.__v;
+  return driverObject;
+};
+
+export { pointSchema };
+export default mongoose.model("Driver", driverSchema);
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "order-placed",
+  "order-status",
+  "order-shipped",
+  "order-delivered",
+  "password-reset",
+  "vendor-application",
+  "driver-application",
+];
+
+export const NOTIFICATION_CHANNELS = ["email", "push", "sms"];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    // Related resources, e.g. { orderId }
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Channels the notification was delivered through
+    channels: [
+      {
+        type: String,
+        enum: NOTIFICATION_CHANNELS,
+      },
+    ],
+    readAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// Mark the notification as read
+notificationSchema.methods.markRead = function () {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Count the unread notifications of a user
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Mark every notification of a user as read
+notificationSchema.statics.markAllRead = function (userId) {
+  return this.updateMany(
+    { user: userId, readAt: null },
+    { readAt: new Date() }
+  );
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
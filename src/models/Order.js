@@ -1,4 +1,10 @@
 import mongoose from "mongoose";
+import { bookedSlotSchema } from "./DeliverySlot.js";
+import { pointSchema } from "./Driver.js";
+import Product from "./Product.js";
+import { shippingOptionSchema } from "./ShippingZone.js";
+import { taxLineSchema } from "./TaxRule.js";
+import { roundMoney } from "../utils/money.js";
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -25,9 +31,13 @@ const orderItemSchema = new mongoose.Schema({
   image: {
     type: String,
   },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
 });
 
-const addressSchema = new mongoose.Schema({
+export const addressSchema = new mongoose.Schema({
   fullName: {
     type: String,
     required: true,
@@ -59,8 +69,189 @@ const addressSchema = new mongoose.Schema({
   phone: {
     type: String,
   },
+  // Used to match distance-based shipping zones
+  location: pointSchema,
 });
 
+export const ORDER_STATUSES = [
+  "Pending Payment",
+  "Confirmed",
+  "Preparing",
+  "Ready for Pickup",
+  "Out for Delivery",
+  "Delivered",
+  "Cancelled",
+  "Returned",
+];
+
+// Statuses used before the order lifecycle was introduced; orders in them
+// move on as if they were in the mapped status
+const LEGACY_STATUSES = {
+  Processing: "Confirmed",
+  "In Transit": "Out for Delivery",
+};
+
+// Allowed transitions and the roles that may perform each one. "customer"
+// is the order's owner, "vendor" a vendor selling one of its items, "driver"
+// the driver assigned to it and "system" the server itself (e.g. payment
+// processing). Only a successful payment confirms an order awaiting payment.
+export const ORDER_TRANSITIONS = {
+  "Pending Payment": {
+    Confirmed: ["system"],
+    Cancelled: ["customer", "admin", "system"],
+  },
+  Confirmed: {
+    Preparing: ["vendor", "admin"],
+    Cancelled: ["customer", "vendor", "admin"],
+  },
+  Preparing: {
+    "Ready for Pickup": ["vendor", "admin"],
+    Cancelled: ["vendor", "admin"],
+  },
+  "Ready for Pickup": {
+    "Out for Delivery": ["vendor", "driver", "admin"],
+    Cancelled: ["vendor", "admin"],
+  },
+  "Out for Delivery": {
+    Delivered: ["vendor", "driver", "admin"],
+  },
+  Delivered: {
+    Returned: ["vendor", "admin"],
+  },
+  Cancelled: {},
+  Returned: {},
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+  },
+  from: {
+    type: String,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actorRole: {
+    type: String,
+    enum: ["customer", "vendor", "driver", "admin", "system"],
+  },
+  reason: {
+    type: String,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Progress of an order or fulfillment, from least to most advanced
+const STATUS_PROGRESS = ORDER_STATUSES.filter(
+  (status) => status !== "Cancelled"
+);
+
+// The part of an order sold and shipped by one vendor
+const fulfillmentSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: [orderItemSchema],
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    statusHistory: [statusHistorySchema],
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    shippingCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    trackingNumber: {
+      type: String,
+    },
+    estimatedDeliveryDate: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+export const RETURN_STATUSES = ["Requested", "Approved", "Rejected"];
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const returnSchema = new mongoose.Schema(
+  {
+    items: [returnItemSchema],
+    reason: {
+      type: String,
+      required: true,
+    },
+    photos: [
+      {
+        type: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      default: "Requested",
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     userId: {
@@ -73,9 +264,17 @@ const orderSchema = new mongoose.Schema(
     billingAddress: addressSchema,
     status: {
       type: String,
-      enum: ["Processing", "In Transit", "Delivered", "Cancelled"],
-      default: "Processing",
+      enum: [...ORDER_STATUSES, ...Object.keys(LEGACY_STATUSES)],
+      // Cash on delivery needs no upfront payment
+      default: function () {
+        return this.paymentMethod === "Cash On Delivery"
+          ? "Confirmed"
+          : "Pending Payment";
+      },
     },
+    statusHistory: [statusHistorySchema],
+    // One per vendor; the order's status is derived from theirs
+    fulfillments: [fulfillmentSchema],
     paymentMethod: {
       type: String,
       required: true,
@@ -83,7 +282,13 @@ const orderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ["Pending", "Completed", "Failed", "Refunded"],
+      enum: [
+        "Pending",
+        "Completed",
+        "Failed",
+        "Partially Refunded",
+        "Refunded",
+      ],
       default: "Pending",
     },
     subtotal: {
@@ -97,12 +302,31 @@ const orderSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    shippingOption: {
+      type: shippingOptionSchema,
+    },
+    // Delivery windows booked with the vendors, one per vendor at most
+    deliverySlots: [bookedSlotSchema],
     tax: {
       type: Number,
       required: true,
       default: 0,
       min: 0,
     },
+    // Whether the tax is included in the item prices rather than added
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    taxBreakdown: [taxLineSchema],
+    couponCode: {
+      type: String,
+    },
+    couponDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     total: {
       type: Number,
       required: true,
@@ -114,6 +338,34 @@ const orderSchema = new mongoose.Schema(
     trackingNumber: {
       type: String,
     },
+    // Where the driver collects the order
+    pickupLocation: pointSchema,
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dispatch: {
+      offeredTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      offerExpiresAt: {
+        type: Date,
+      },
+      declinedDrivers: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      assignedAt: {
+        type: Date,
+      },
+      pickedUpAt: {
+        type: Date,
+      },
+    },
+    returns: [returnSchema],
     notes: {
       type: String,
     },
@@ -121,6 +373,28 @@ const orderSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Geospatial index for finding orders near a driver
+orderSchema.index({ pickupLocation: "2dsphere" });
+
+// Index for listing a vendor's fulfillments
+orderSchema.index({ "fulfillments.vendor": 1, createdAt: -1 });
+
+// Record the initial status of new orders and split them by vendor
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      actor: this.userId,
+      actorRole: "customer",
+      reason: "Order placed",
+    });
+  }
+  if (this.isNew && this.fulfillments.length === 0) {
+    this.splitByVendor();
+  }
+  next();
+});
+
 // Virtual method to get order by ID
 orderSchema.statics.findByOrderId = function (id) {
   return this.findById(id);
@@ -131,6 +405,310 @@ orderSchema.statics.findByUserId = function (userId) {
   return this.find({ userId }).sort({ createdAt: -1 });
 };
 
+// Group the order's items into one fulfillment per vendor. The shipping
+// cost is shared out in proportion to each vendor's subtotal, and a
+// vendor's booked delivery slot sets its fulfillment's ETA.
+orderSchema.methods.splitByVendor = function () {
+  const groups = new Map();
+  this.items.forEach((item) => {
+    if (!item.vendor) return;
+    const key = item.vendor.toString();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  let unallocated = this.shippingCost;
+  this.fulfillments = [...groups.values()].map((items, index) => {
+    const subtotal = roundMoney(
+      items.reduce((total, item) => total + item.price * item.quantity, 0)
+    );
+    const shippingCost =
+      index === groups.size - 1
+        ? roundMoney(unallocated)
+        : roundMoney(
+            this.subtotal > 0
+              ? (this.shippingCost * subtotal) / this.subtotal
+              : 0
+          );
+    unallocated -= shippingCost;
+
+    const booking = this.deliverySlots.find((slot) =>
+      slot.vendor.equals(items[0].vendor)
+    );
+
+    return {
+      vendor: items[0].vendor,
+      items: items.map((item) => item.toObject()),
+      status: this.status,
+      statusHistory: [{ status: this.status, actorRole: "system" }],
+      subtotal,
+      shippingCost,
+      estimatedDeliveryDate: booking ? booking.end : undefined,
+    };
+  });
+
+  return this;
+};
+
+// Get the fulfillment of a vendor
+orderSchema.methods.getFulfillmentFor = function (vendorId) {
+  return (
+    this.fulfillments.find(
+      (fulfillment) => fulfillment.vendor.toString() === vendorId.toString()
+    ) || null
+  );
+};
+
+// Share of the order's total paid for a fulfillment, in proportion to its
+// goods and shipping
+orderSchema.methods.getFulfillmentTotal = function (fulfillment) {
+  const base = this.subtotal + this.shippingCost;
+  if (base <= 0) return 0;
+  return roundMoney(
+    (this.total * (fulfillment.subtotal + fulfillment.shippingCost)) / base
+  );
+};
+
+// Check whether any item in the order is sold by the given vendor
+orderSchema.methods.includesVendor = async function (vendorId) {
+  if (this.fulfillments.length > 0) {
+    return Boolean(this.getFulfillmentFor(vendorId));
+  }
+
+  const productIds = this.items
+    .map((item) => item.productId)
+    .filter((productId) => mongoose.isValidObjectId(productId));
+
+  const product = await Product.exists({
+    _id: { $in: productIds },
+    vendor: vendorId,
+  });
+
+  return Boolean(product);
+};
+
+// Check whether every one of the given products in the order is sold by
+// the given vendor
+orderSchema.methods.isSoldEntirelyBy = async function (productIds, vendorId) {
+  const ids = [...new Set(productIds.map((productId) => productId.toString()))];
+
+  if (this.fulfillments.length > 0) {
+    const fulfillment = this.getFulfillmentFor(vendorId);
+    const ownIds = new Set(
+      fulfillment ? fulfillment.items.map((item) => item.productId) : []
+    );
+    return ids.every((productId) => ownIds.has(productId));
+  }
+
+  if (!ids.every((productId) => mongoose.isValidObjectId(productId))) {
+    return false;
+  }
+
+  const count = await Product.countDocuments({
+    _id: { $in: ids },
+    vendor: vendorId,
+  });
+
+  return count === ids.length;
+};
+
+// Check whether every fulfillment still in play can follow the order to a
+// status, and, given a role, whether the role may move each of them there
+const fulfillmentsCanFollow = (order, status, role) =>
+  order.fulfillments.every((fulfillment) => {
+    if (fulfillment.status === "Cancelled" || fulfillment.status === status) {
+      return true;
+    }
+
+    const roles = ORDER_TRANSITIONS[fulfillment.status]?.[status];
+    return Boolean(roles && (!role || roles.includes(role)));
+  });
+
+// Record a status change on an order or fulfillment
+const recordStatus = (target, status, { actor, actorRole, reason }) => {
+  target.statusHistory.push({
+    status,
+    from: target.status,
+    actor,
+    actorRole,
+    reason,
+  });
+  target.status = status;
+};
+
+// Check whether a role may move the order to a status
+orderSchema.methods.canTransitionTo = function (status, role) {
+  const current = LEGACY_STATUSES[this.status] || this.status;
+  const roles = ORDER_TRANSITIONS[current]?.[status];
+  return Boolean(
+    roles && roles.includes(role) && fulfillmentsCanFollow(this, status, role)
+  );
+};
+
+// Move the order, and every fulfillment still in play, to a new status and
+// record the change. Throws if the transition isn't allowed from the current
+// status or for the role.
+orderSchema.methods.transitionTo = function (
+  status,
+  { actor, actorRole, reason } = {}
+) {
+  const current = LEGACY_STATUSES[this.status] || this.status;
+
+  if (
+    !ORDER_TRANSITIONS[current]?.[status] ||
+    !fulfillmentsCanFollow(this, status)
+  ) {
+    throw new Error(
+      `Cannot change order status from ${this.status} to ${status}`
+    );
+  }
+
+  if (!this.canTransitionTo(status, actorRole)) {
+    throw new Error("Unauthorized status change");
+  }
+
+  this.fulfillments.forEach((fulfillment) => {
+    if (fulfillment.status !== "Cancelled" && fulfillment.status !== status) {
+      recordStatus(fulfillment, status, { actor, actorRole, reason });
+    }
+  });
+  recordStatus(this, status, { actor, actorRole, reason });
+
+  // Fail the save if a fulfillment changed concurrently
+  if (this.fulfillments.length > 0) {
+    this.increment();
+  }
+
+  return this;
+};
+
+// Move one fulfillment to a new status, then update the order's status to
+// the least advanced of its fulfillments (Cancelled once all are). Throws
+// like transitionTo.
+orderSchema.methods.transitionFulfillment = function (
+  fulfillment,
+  status,
+  { actor, actorRole, reason } = {}
+) {
+  const roles = ORDER_TRANSITIONS[fulfillment.status]?.[status];
+
+  if (!roles) {
+    throw new Error(
+      `Cannot change order status from ${fulfillment.status} to ${status}`
+    );
+  }
+
+  if (!roles.includes(actorRole)) {
+    throw new Error("Unauthorized status change");
+  }
+
+  recordStatus(fulfillment, status, { actor, actorRole, reason });
+  // Fail the save if another fulfillment changed concurrently, as the
+  // order's status is derived from all of them
+  this.increment();
+
+  const active = this.fulfillments.filter(
+    (group) => group.status !== "Cancelled"
+  );
+  const derived =
+    active.length === 0
+      ? "Cancelled"
+      : STATUS_PROGRESS[
+          Math.min(
+            ...active.map((group) => STATUS_PROGRESS.indexOf(group.status))
+          )
+        ];
+
+  if (derived !== this.status) {
+    recordStatus(this, derived, {
+      actor,
+      actorRole: "system",
+      reason: "Fulfillment status changed",
+    });
+  }
+
+  return this;
+};
+
+// Get when an order or fulfillment was last delivered, if it was
+const lastDeliveredAt = (target) => {
+  const entry = [...target.statusHistory]
+    .reverse()
+    .find((change) => change.status === "Delivered");
+  return entry ? entry.changedAt : null;
+};
+
+// Get when the order was delivered, if it was
+orderSchema.methods.getDeliveredAt = function () {
+  return lastDeliveredAt(this);
+};
+
+// Get when a product of the order was delivered: when its fulfillment was,
+// or the whole order for orders placed before orders were split by vendor.
+// Null while it hasn't been delivered.
+orderSchema.methods.getItemDeliveredAt = function (productId) {
+  if (this.fulfillments.length === 0) {
+    return this.status === "Delivered" ? this.getDeliveredAt() : null;
+  }
+
+  const fulfillment = this.fulfillments.find(
+    (group) =>
+      group.status === "Delivered" &&
+      group.items.some((item) => item.productId === productId.toString())
+  );
+  return fulfillment ? lastDeliveredAt(fulfillment) : null;
+};
+
+// Get how many units of a product can still be returned: those ordered less
+// those in returns that weren't rejected
+orderSchema.methods.getReturnableQuantity = function (productId) {
+  const ordered = this.items
+    .filter((item) => item.productId === productId.toString())
+    .reduce((total, item) => total + item.quantity, 0);
+
+  const returned = this.returns
+    .filter((request) => request.status !== "Rejected")
+    .flatMap((request) => request.items)
+    .filter((item) => item.productId === productId.toString())
+    .reduce((total, item) => total + item.quantity, 0);
+
+  return ordered - returned;
+};
+
+// Vendor's view of an order: only their fulfillment and items, without the
+// customer's payment totals
+orderSchema.methods.toVendorJSON = function (vendorId) {
+  const orderObject = this.toJSON();
+  if (this.fulfillments.length === 0) return orderObject;
+
+  const fulfillment = this.getFulfillmentFor(vendorId);
+  const productIds = new Set(
+    fulfillment ? fulfillment.items.map((item) => item.productId) : []
+  );
+  const ownItems = (items) =>
+    items.filter((item) => productIds.has(item.productId));
+
+  orderObject.items = ownItems(orderObject.items);
+  orderObject.fulfillments = orderObject.fulfillments.filter(
+    (group) => group.vendor.toString() === vendorId.toString()
+  );
+  orderObject.returns = orderObject.returns
+    .map((request) => ({ ...request, items: ownItems(request.items) }))
+    .filter((request) => request.items.length > 0);
+  [
+    "subtotal",
+    "shippingCost",
+    "tax",
+    "couponCode",
+    "couponDiscount",
+    "total",
+    "trackingNumber",
+    "estimatedDeliveryDate",
+  ].forEach((field) => delete orderObject[field]);
+
+  return orderObject;
+};
+
 // Method to safely expose order data
 orderSchema.methods.toJSON = function () {
   const orderObject = this.toObject();
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+
+export const PAYMENT_STATUSES = [
+  "Pending",
+  "Authorized",
+  "Completed",
+  "Failed",
+  "Voided",
+  "Refunded",
+];
+
+// Statuses of a payment that still counts towards its order
+export const ACTIVE_PAYMENT_STATUSES = ["Pending", "Authorized", "Completed"];
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  providerRefundId: {
+    type: String,
+  },
+  reason: {
+    type: String,
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const paymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Name of the provider that processes the payment, e.g. "fake" or "cash"
+    provider: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "Pending",
+    },
+    providerPaymentId: {
+      type: String,
+    },
+    failureReason: {
+      type: String,
+    },
+    capturedAt: {
+      type: Date,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refunds: [refundSchema],
+    // Ids of the webhook events already applied, so retries are ignored
+    webhookEventIds: [
+      {
+        type: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// An order has at most one payment in progress or completed at a time
+paymentSchema.index(
+  { order: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_PAYMENT_STATUSES } },
+  }
+);
+paymentSchema.index({ provider: 1, providerPaymentId: 1 });
+
+// Find the payment of an order that is in progress or completed
+paymentSchema.statics.findActiveByOrder = function (orderId) {
+  return this.findOne({
+    order: orderId,
+    status: { $in: ACTIVE_PAYMENT_STATUSES },
+  });
+};
+
+// Amount that can still be refunded
+paymentSchema.methods.refundableAmount = function () {
+  if (this.status !== "Completed") return 0;
+  return Math.round((this.amount - this.refundedAmount) * 100) / 100;
+};
+
+paymentSchema.methods.toJSON = function () {
+  const paymentObject = this.toObject();
+  delete paymentObject.webhookEventIds;
+  delete paymentObject.__v;
+  return paymentObject;
+};
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+export default Payment;
@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
 
+export const PRODUCT_CATEGORIES = [
+  "Food",
+  "Groceries",
+  "Pharmacy",
+  "Electronics",
+  "Clothing",
+  "Other",
+];
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -19,14 +28,7 @@ const productSchema = new mongoose.Schema(
     category: {
       type: String,
       required: true,
-      enum: [
-        "Food",
-        "Groceries",
-        "Pharmacy",
-        "Electronics",
-        "Clothing",
-        "Other",
-      ],
+      enum: PRODUCT_CATEGORIES,
     },
     image: {
       type: String,
@@ -39,6 +41,12 @@ const productSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Units held by carts (see Reservation)
+    reservedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     tags: [
       {
         type: String,
@@ -59,6 +67,12 @@ const productSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Sum of the review ratings, so the average updates in one write
+    ratingTotal: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
     featured: {
       type: Boolean,
       default: false,
@@ -69,6 +83,22 @@ const productSchema = new mongoose.Schema(
       max: 100,
       default: 0,
     },
+    // Shipping weight in kg
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Bulky products pay a shipping surcharge
+    isBulky: {
+      type: Boolean,
+      default: false,
+    },
+    // Archived products are hidden from listings but kept for order history
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
@@ -81,6 +111,17 @@ productSchema.virtual("discountedPrice").get(function () {
   return this.price * (1 - this.discountPercentage / 100);
 });
 
+// Virtual to get the stock not held by carts
+productSchema.virtual("availableQuantity").get(function () {
+  return Math.max(0, this.stockQuantity - this.reservedQuantity);
+});
+
+// Check whether a quantity of the product can be added to a cart, from the
+// stock not held by carts (0 in stock means none left, as at checkout)
+productSchema.methods.isAvailable = function (quantity) {
+  return !this.isArchived && this.inStock && this.availableQuantity >= quantity;
+};
+
 // Method to safely expose product data
 productSchema.methods.toJSON = function () {
   const productObject = this.toObject();
@@ -88,6 +129,7 @@ productSchema.methods.toJSON = function () {
   delete productObject._id;
   delete productObject.__v;
   productObject.discountedPrice = this.discountedPrice;
+  productObject.availableQuantity = this.availableQuantity;
   return productObject;
 };
 
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// A time-limited hold on product stock for one cart line
+const reservationSchema = new mongoose.Schema(
+  {
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One hold per cart line
+reservationSchema.index({ cart: 1, product: 1 }, { unique: true });
+// Find the holds on a product when it's archived
+reservationSchema.index({ product: 1 });
+
+export default mongoose.model("Reservation", reservationSchema);
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import Product from "./Product.js";
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    text: {
+      type: String,
+      trim: true,
+    },
+    photoUrl: {
+      type: String,
+    },
+    vendorReply: {
+      text: {
+        type: String,
+      },
+      repliedAt: {
+        type: Date,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+// Adjust a product's review count and rating total, and recompute its
+// average rating from them, in a single atomic update
+reviewSchema.statics.adjustProductRating = function (
+  productId,
+  { count = 0, rating = 0 }
+) {
+  return Product.updateOne({ _id: productId }, [
+    {
+      $set: {
+        numReviews: { $add: ["$numReviews", count] },
+        // Products rated before the total was kept start from their average
+        ratingTotal: {
+          $add: [
+            {
+              $ifNull: [
+                "$ratingTotal",
+                { $multiply: ["$rating", "$numReviews"] },
+              ],
+            },
+            rating,
+          ],
+        },
+      },
+    },
+    {
+      $set: {
+        rating: {
+          $cond: [
+            { $gt: ["$numReviews", 0] },
+            { $round: [{ $divide: ["$ratingTotal", "$numReviews"] }, 2] },
+            0,
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+// Method to safely expose review data
+reviewSchema.methods.toJSON = function () {
+  const reviewObject = this.toObject();
+  reviewObject.id = reviewObject._id;
+  delete reviewObject._id;
+  delete reviewObject.__v;
+  return reviewObject;
+};
+
+export default mongoose.model("Review", reviewSchema);
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Hash of the refresh token currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of rotated-out refresh tokens, kept to detect reuse
+    previousTokenHashes: [
+      {
+        type: String,
+      },
+    ],
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke the session
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Find the active sessions of a user
+sessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Method to safely expose session data
+sessionSchema.methods.toJSON = function () {
+  const sessionObject = this.toObject();
+  sessionObject.id = sessionObject._id;
+  delete sessionObject._id;
+  delete sessionObject.__v;
+  delete sessionObject.refreshTokenHash;
+  delete sessionObject.previousTokenHashes;
+  return sessionObject;
+};
+
+export default mongoose.model("Session", sessionSchema);
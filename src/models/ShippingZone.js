@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+
+export const SHIPPING_SPEEDS = ["standard", "express", "same-day"];
+
+// Price and delivery time of one speed within a zone
+const shippingRateSchema = new mongoose.Schema(
+  {
+    speed: {
+      type: String,
+      required: true,
+      enum: SHIPPING_SPEEDS,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    minDays: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxDays: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// The speed chosen for a cart or order and what it costs
+export const shippingOptionSchema = new mongoose.Schema(
+  {
+    speed: {
+      type: String,
+      required: true,
+      enum: SHIPPING_SPEEDS,
+    },
+    cost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    minDays: {
+      type: Number,
+    },
+    maxDays: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Zones only for one vendor's shipments take precedence over global ones
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Destinations whose zip code starts with one of these
+    zipPrefixes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Destinations within this distance of the vendor's pickup point
+    maxDistanceKm: {
+      type: Number,
+      min: 0,
+    },
+    rates: [shippingRateSchema],
+    // Added per unit of products heavier than HEAVY_ITEM_KG, or bulky
+    heavySurcharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    bulkySurcharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Higher priority zones are tried first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance in km between two [longitude, latitude] points
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Check whether a shipment from an origin point (optional) to an address
+// falls in the zone. Zones without a zip or distance condition match
+// everywhere.
+shippingZoneSchema.methods.covers = function (address, origin) {
+  const zipCode = (address?.zipCode || "").trim();
+  const matchesZip =
+    this.zipPrefixes.length > 0 &&
+    this.zipPrefixes.some((prefix) => zipCode.startsWith(prefix));
+
+  const destination = address?.location?.coordinates;
+  const matchesDistance =
+    this.maxDistanceKm !== undefined &&
+    this.maxDistanceKm !== null &&
+    origin?.length === 2 &&
+    destination?.length === 2 &&
+    distanceKm(origin, destination) <= this.maxDistanceKm;
+
+  const unrestricted =
+    this.zipPrefixes.length === 0 &&
+    (this.maxDistanceKm === undefined || this.maxDistanceKm === null);
+
+  return unrestricted || matchesZip || matchesDistance;
+};
+
+// Get the rate of a speed, if the zone offers it
+shippingZoneSchema.methods.rateFor = function (speed) {
+  return this.rates.find((rate) => rate.speed === speed) || null;
+};
+
+// Get the active zones that may apply to the vendors' shipments, most
+// preferred first: vendor-specific, then by priority
+shippingZoneSchema.statics.findForVendors = async function (vendorIds) {
+  const zones = await this.find({
+    isActive: true,
+    $or: [{ vendor: null }, { vendor: { $in: vendorIds } }],
+  });
+
+  return zones.sort(
+    (a, b) =>
+      Number(Boolean(b.vendor)) - Number(Boolean(a.vendor)) ||
+      b.priority - a.priority
+  );
+};
+
+// Method to safely expose shipping zone data
+shippingZoneSchema.methods.toJSON = function () {
+  const zoneObject = this.toObject();
+  zoneObject.id = zoneObject._id;
+  delete zoneObject._id;
+  delete zoneObject.__v;
+  return zoneObject;
+};
+
+const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
+
+export default ShippingZone;
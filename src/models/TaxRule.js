@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import { PRODUCT_CATEGORIES } from "./Product.js";
+
+// Tax charged on one order line
+export const taxLineSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Amount the rate was applied to
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    tax: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// A reduced rate for a product category; 0 exempts it
+const categoryRateSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+      enum: PRODUCT_CATEGORIES,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+  },
+  { _id: false }
+);
+
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Where the rule applies, matched case-insensitively against the
+    // shipping address. State and zip prefix narrow it down.
+    country: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    zipPrefix: {
+      type: String,
+      trim: true,
+    },
+    // Rate as a fraction, e.g. 0.08 for 8%
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+    categoryRates: [categoryRateSchema],
+    // Whether prices already include the tax
+    inclusive: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Countries are compared case-insensitively
+const COUNTRY_COLLATION = { locale: "en", strength: 2 };
+
+taxRuleSchema.index(
+  { country: 1, isActive: 1 },
+  { collation: COUNTRY_COLLATION }
+);
+
+// Compare place names ignoring case and surrounding spaces
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Check whether the rule applies to an address
+taxRuleSchema.methods.matches = function (address) {
+  if (!sameText(this.country, address.country || "")) return false;
+  if (this.state && !sameText(this.state, address.state || "")) return false;
+  if (
+    this.zipPrefix &&
+    !(address.zipCode || "").trim().startsWith(this.zipPrefix)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+// Rank rules by how precisely they target an address
+taxRuleSchema.methods.specificity = function () {
+  return (
+    (this.zipPrefix ? 100 + this.zipPrefix.length : 0) + (this.state ? 1 : 0)
+  );
+};
+
+// Get the rate for a product category
+taxRuleSchema.methods.rateFor = function (category) {
+  const categoryRate = this.categoryRates.find(
+    (entry) => entry.category === category
+  );
+  return categoryRate ? categoryRate.rate : this.rate;
+};
+
+// Find the most specific active rule for an address, if any
+taxRuleSchema.statics.findForAddress = async function (address) {
+  if (!address?.country) return null;
+
+  const rules = await this.find({
+    country: address.country.trim(),
+    isActive: true,
+  }).collation(COUNTRY_COLLATION);
+
+  return (
+    rules
+      .filter((rule) => rule.matches(address))
+      .sort((a, b) => b.specificity() - a.specificity())[0] || null
+  );
+};
+
+// Method to safely expose tax rule data
+taxRuleSchema.methods.toJSON = function () {
+  const ruleObject = this.toObject();
+  ruleObject.id = ruleObject._id;
+  delete ruleObject._id;
+  delete ruleObject.__v;
+  return ruleObject;
+};
+
+const TaxRule = mongoose.model("TaxRule", taxRuleSchema);
+
+export default TaxRule;
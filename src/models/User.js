@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { pointSchema } from "./Driver.js";
 
 const addressSchema = new mongoose.Schema({
   fullName: {
@@ -32,6 +33,8 @@ const addressSchema = new mongoose.Schema({
   phone: {
     type: String,
   },
+  // Used to match distance-based shipping zones
+  location: pointSchema,
   isDefault: {
     type: Boolean,
     default: false,
@@ -61,7 +64,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["customer", "vendor", "admin"],
+    enum: ["customer", "vendor", "driver", "admin"],
     default: "customer",
   },
   addresses: [addressSchema],
@@ -101,6 +104,13 @@ const userSchema = new mongoose.Schema({
     businessEmail: {
       type: String,
     },
+    // Pickup point for deliveries
+    location: pointSchema,
+    // Standard shipping is free for the vendor's shipments over this amount
+    freeShippingThreshold: {
+      type: Number,
+      min: 0,
+    },
     isVerified: {
       type: Boolean,
       default: false,
@@ -120,16 +130,94 @@ const userSchema = new mongoose.Schema({
       default: false,
     },
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    index: true,
+  },
+  emailVerificationExpires: {
+    type: Date,
+  },
+  emailVerificationSentAt: {
+    type: Date,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  passwordResetTokenHash: {
+    type: String,
+    index: true,
+  },
+  passwordResetExpires: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Mark one address as the default, keeping exactly one default. Without an
+// ID the current default (or else the first address) is kept.
+userSchema.methods.syncDefaultAddress = function (addressId) {
+  const target = addressId
+    ? this.addresses.id(addressId)
+    : this.addresses.find((address) => address.isDefault) || this.addresses[0];
+
+  this.addresses.forEach((address) => {
+    address.isDefault = Boolean(target) && address._id.equals(target._id);
+  });
+  this.defaultAddress = target ? target._id : undefined;
+};
+
+// Copy a saved address so it can be stored on an order
+userSchema.methods.getAddressSnapshot = function (addressId) {
+  const address = this.addresses.id(addressId);
+
+  if (!address) {
+    return null;
+  }
+
+  const { _id, isDefault, ...snapshot } = address.toObject();
+  return snapshot;
+};
+
+// Check whether the password changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+// Public storefront view of a vendor, without contact details or pickup point
+userSchema.methods.toStorefrontJSON = function () {
+  const { businessName, businessDescription, businessLogo, businessAddress } =
+    this.vendorInfo || {};
+
+  return {
+    id: this._id,
+    businessName,
+    businessDescription,
+    businessLogo,
+    businessAddress,
+    freeShippingThreshold: this.vendorInfo?.freeShippingThreshold,
+    isVerified: Boolean(this.vendorInfo?.isVerified),
+    memberSince: this.createdAt,
+  };
+};
+
 // Method to safely expose user data
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.emailVerificationSentAt;
+  delete user.passwordChangedAt;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
   user.id = user._id;
   delete user._id;
   delete user.__v;
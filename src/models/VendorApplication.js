@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// Business details copied onto User.vendorInfo when an application is
+// approved
+export const BUSINESS_FIELDS = [
+  "businessName",
+  "businessAddress",
+  "businessDescription",
+  "businessLogo",
+  "businessPhone",
+  "businessEmail",
+];
+
+const vendorApplicationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    businessName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    businessAddress: {
+      type: String,
+      required: true,
+    },
+    businessDescription: {
+      type: String,
+    },
+    businessLogo: {
+      type: String,
+    },
+    businessPhone: {
+      type: String,
+      required: true,
+    },
+    businessEmail: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: ["Pending", "Approved", "Rejected"],
+      default: "Pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNotes: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user has at most one application awaiting review
+vendorApplicationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "Pending" } }
+);
+vendorApplicationSchema.index({ status: 1, createdAt: 1 });
+
+// Get the business details of the application
+vendorApplicationSchema.methods.getBusinessInfo = function () {
+  return BUSINESS_FIELDS.reduce((info, key) => {
+    if (this[key] !== undefined) info[key] = this[key];
+    return info;
+  }, {});
+};
+
+const VendorApplication = mongoose.model(
+  "VendorApplication",
+  vendorApplicationSchema
+);
+
+export default VendorApplication;
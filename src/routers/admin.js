@@ -0,0 +1,157 @@
+import { Router } from "express";
+import { param, query, validationResult } from "express-validator";
+import Order, { ORDER_STATUSES } from "../models/Order.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import auth from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import {
+  getCategoryBreakdown,
+  getNewUsersPerDay,
+  getOrdersPerDay,
+  getPlatformSummary,
+} from "../services/analytics.js";
+import { streamExport } from "../services/exports.js";
+import { dateRangeValidation, getDateRange } from "../utils/validators.js";
+
+const router = Router();
+
+// Every admin route requires an admin
+router.use(auth, requireRole("admin"));
+
+// Models that can be exported, and how their filters are read from the query
+const EXPORTS = {
+  orders: {
+    Model: Order,
+    filter: ({ status, paymentStatus, userId }) => ({
+      ...(status && { status }),
+      ...(paymentStatus && { paymentStatus }),
+      ...(userId && { userId }),
+    }),
+  },
+  users: {
+    Model: User,
+    filter: ({ role, emailVerified }) => ({
+      ...(role && { role }),
+      ...(emailVerified !== undefined && {
+        emailVerified: emailVerified === "true",
+      }),
+    }),
+  },
+  products: {
+    Model: Product,
+    filter: ({ category, vendor, isArchived }) => ({
+      ...(category && { category }),
+      ...(vendor && { vendor }),
+      ...(isArchived !== undefined && {
+        isArchived: isArchived === "true" ? true : { $ne: true },
+      }),
+    }),
+  },
+};
+
+// Run a report over the request's date range
+const report = (name, build) => [
+  dateRangeValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const range = getDateRange(req);
+      const data = await build(range);
+
+      res.json({ ...range, [name]: data });
+    } catch (err) {
+      console.error(`Error building ${name} report:`, err);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+];
+
+// Get GMV, orders, average order value and new users
+router.get("/reports/summary", ...report("summary", getPlatformSummary));
+
+// Get orders and GMV per day
+router.get("/reports/orders", ...report("days", getOrdersPerDay));
+
+// Get new users per day
+router.get("/reports/users", ...report("days", getNewUsersPerDay));
+
+// Get listed products and sales per category
+router.get(
+  "/reports/categories",
+  ...report("categories", getCategoryBreakdown)
+);
+
+// Stream a collection as CSV or NDJSON. Optional ?from=&to= filter on
+// creation date; other filters depend on the collection.
+router.get(
+  "/exports/:collection",
+  [
+    param("collection")
+      .isIn(Object.keys(EXPORTS))
+      .withMessage("Collection must be orders, users or products"),
+    query("format")
+      .optional()
+      .isIn(["csv", "ndjson"])
+      .withMessage("Format must be csv or ndjson"),
+    ...dateRangeValidation,
+    query("status")
+      .optional()
+      .isIn(ORDER_STATUSES)
+      .withMessage("Invalid status"),
+    query(["paymentStatus", "role", "category"])
+      .optional()
+      .isString()
+      .withMessage("Must be a single value"),
+    query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+    query("vendor").optional().isMongoId().withMessage("Invalid vendor ID"),
+    query(["emailVerified", "isArchived"])
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("Must be true or false"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { collection } = req.params;
+      const { Model, filter } = EXPORTS[collection];
+      const conditions = filter(req.query);
+
+      if (req.query.from || req.query.to) {
+        const { from, to } = req.query;
+        conditions.createdAt = {
+          ...(from && { $gte: new Date(from) }),
+          ...(to && { $lt: new Date(to) }),
+        };
+      }
+
+      const cursor = Model.find(conditions).sort({ _id: 1 }).cursor();
+
+      await streamExport(res, cursor, {
+        name: collection,
+        format: req.query.format || "csv",
+      });
+    } catch (err) {
+      console.error("Error exporting data:", err);
+
+      // Abort a download that already started rather than truncate it
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
@@ -1,12 +1,59 @@
 import { Router } from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { body, validationResult } from "express-validator";
+import Session from "../models/Session.js";
 import User from "../models/User.js";
 import auth from "../middleware/auth.js";
+import { GUEST_CART_HEADER, mergeGuestCart } from "../services/guestCarts.js";
+import { sendMail } from "../services/mailer.js";
+import { notify } from "../services/notifications.js";
+import { createSession, rotateSession } from "../services/tokens.js";
+import { generateToken, hashPassword, hashToken } from "../utils/security.js";
 
 const router = Router();
 
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_VERIFICATION_RESEND_MS = 60 * 1000; // 1 minute between emails
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Merge the guest cart of the request into the user's cart. Resolves to the
+// merge report, or null if there was nothing to merge. A failed merge leaves
+// the guest cart as it was and doesn't block signing in.
+const mergeRequestCart = async (req, user) => {
+  const cartToken = req.header(GUEST_CART_HEADER);
+  if (!cartToken) return null;
+
+  try {
+    return await mergeGuestCart(cartToken, user._id);
+  } catch (err) {
+    console.error("Error merging guest cart:", err);
+    return null;
+  }
+};
+
+// Issue a new email verification token and mail it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generateToken();
+  user.emailVerificationTokenHash = hashToken(verificationToken);
+  user.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_MS
+  );
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      "Use this link to verify your email address (expires in 24 hours):\n\n" +
+      `${clientUrl()}/verify-email?token=${verificationToken}`,
+  }).catch((err) => {
+    console.error("Error sending verification email:", err);
+  });
+};
+
 // Validation middleware
 const registerValidation = [
   body("email").isEmail().normalizeEmail(),
@@ -30,7 +77,6 @@ router.post("/register", registerValidation, async (req, res) => {
 
     const { email, password, name } = req.body;
 
-    console.log(email, password, name);
     // Check if user already exists
     let user = await User.findOne({ email });
     if (user) {
@@ -38,8 +84,7 @@ router.post("/register", registerValidation, async (req, res) => {
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await hashPassword(password);
 
     // Create new user
     user = new User({
@@ -50,18 +95,25 @@ router.post("/register", registerValidation, async (req, res) => {
 
     await user.save();
 
-    // Create and send token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    // New users start unverified until they confirm their email
+    await sendVerificationEmail(user);
+
+    // Start a session and send its tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Carry over what the user put in their cart as a guest
+    const cart = await mergeRequestCart(req, user);
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
+      ...(cart && { cart }),
     });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
@@ -91,18 +143,22 @@ router.post("/login", loginValidation, async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Create and send token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    // Start a session and send its tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Carry over what the user put in their cart as a guest
+    const cart = await mergeRequestCart(req, user);
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
+      ...(cart && { cart }),
     });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
@@ -119,4 +175,269 @@ router.get("/user", auth, async (req, res) => {
   }
 });
 
+// Confirm an email address with the token from the verification email
+router.post(
+  "/verify-email",
+  [body("token").notEmpty().withMessage("Verification token is required")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOneAndUpdate(
+        {
+          emailVerificationTokenHash: hashToken(req.body.token),
+          emailVerificationExpires: { $gt: new Date() },
+        },
+        {
+          emailVerified: true,
+          $unset: {
+            emailVerificationTokenHash: 1,
+            emailVerificationExpires: 1,
+          },
+        }
+      );
+
+      if (!user) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired verification token" });
+      }
+
+      res.json({ message: "Email address verified" });
+    } catch (err) {
+      console.error("Error verifying email:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Resend the verification email (throttled)
+router.post("/resend-verification", auth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const lastSent = user.emailVerificationSentAt?.getTime() || 0;
+    const waitMs = lastSent + EMAIL_VERIFICATION_RESEND_MS - Date.now();
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "Please wait before requesting another verification email",
+        retryAfter,
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Error resending verification email:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post(
+  "/refresh",
+  [body("refreshToken").notEmpty().withMessage("Refresh token is required")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokens = await rotateSession(req.body.refreshToken, req);
+
+      res.json(tokens);
+    } catch (err) {
+      if (
+        err.message === "Invalid refresh token" ||
+        err.message === "Refresh token reuse detected"
+      ) {
+        return res.status(401).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Log out of the current session
+router.post("/logout", auth, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sid);
+    await session.revoke("Logged out");
+
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Log out of every session of the user
+router.post("/logout-all", auth, async (req, res) => {
+  try {
+    await Session.revokeAllForUser(req.user.id, "Logged out everywhere");
+
+    res.json({ message: "Logged out of all sessions" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// List the active sessions (devices) of the user
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+
+    res.json(
+      sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.user.sid,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Request a password reset email
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user) {
+        // Only the hash of the single-use token is stored
+        const resetToken = generateToken();
+        user.passwordResetTokenHash = hashToken(resetToken);
+        user.passwordResetExpires = new Date(
+          Date.now() + PASSWORD_RESET_TTL_MS
+        );
+        await user.save();
+
+        notify(user, "password-reset", {
+          resetUrl: `${clientUrl()}/reset-password?token=${resetToken}`,
+        }).catch((err) => {
+          console.error("Error sending password reset email:", err);
+        });
+      }
+
+      // Same response whether or not the email is registered
+      res.json({
+        message: "If that email is registered, a reset link has been sent",
+      });
+    } catch (err) {
+      console.error("Error requesting password reset:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Reset a password with a token from the reset email
+router.post(
+  "/reset-password",
+  [
+    body("token").notEmpty().withMessage("Reset token is required"),
+    body("password").isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Consume the token atomically so it can only be used once
+      const user = await User.findOneAndUpdate(
+        {
+          passwordResetTokenHash: hashToken(req.body.token),
+          passwordResetExpires: { $gt: new Date() },
+        },
+        {
+          password: await hashPassword(req.body.password),
+          passwordChangedAt: new Date(),
+          $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 },
+        }
+      );
+
+      if (!user) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired reset token" });
+      }
+
+      // Sign out everywhere
+      await Session.revokeAllForUser(user._id, "Password reset");
+
+      res.json({ message: "Password has been reset" });
+    } catch (err) {
+      console.error("Error resetting password:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Change the password of the authenticated user
+router.post(
+  "/change-password",
+  auth,
+  [
+    body("currentPassword").notEmpty(),
+    body("newPassword").isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = req.currentUser;
+
+      // Validate current password
+      const isMatch = await bcrypt.compare(
+        req.body.currentPassword,
+        user.password
+      );
+      if (!isMatch) {
+        return res.status(400).json({ message: "Invalid credentials" });
+      }
+
+      user.password = await hashPassword(req.body.newPassword);
+      user.passwordChangedAt = new Date();
+      await user.save();
+
+      // Sign out everywhere, then start a fresh session for this device
+      await Session.revokeAllForUser(user._id, "Password changed");
+      const { token, refreshToken } = await createSession(user, req);
+
+      res.json({ message: "Password has been changed", token, refreshToken });
+    } catch (err) {
+      console.error("Error changing password:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 export default router;
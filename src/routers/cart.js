@@ -1,15 +1,69 @@
 import { Router } from "express";
 import { body, validationResult } from "express-validator";
 import auth from "../middleware/auth.js";
+import { loadUser, requireVerifiedEmail } from "../middleware/roles.js";
 import Cart from "../models/Cart.js";
+import Coupon from "../models/Coupon.js";
 import Product from "../models/Product.js";
+import { SHIPPING_SPEEDS } from "../models/ShippingZone.js";
+import User from "../models/User.js";
+import { checkoutCart, resolveAddresses } from "../services/checkout.js";
+import { getAvailableSlots } from "../services/deliverySlots.js";
+import { publishOrderEvent } from "../services/events.js";
+import { GUEST_CART_HEADER } from "../services/guestCarts.js";
+import {
+  changeHeldLine,
+  holdStock,
+  releaseCart,
+} from "../services/reservations.js";
+import {
+  addressValidation,
+  paymentMethodValidation,
+} from "../utils/validators.js";
 
 const router = Router();
 
-// Get user's cart
-router.get("/", auth, async (req, res) => {
+// Load the shopper's cart onto req.cart: the user's cart when the request is
+// authenticated, otherwise the guest cart of the X-Cart-Token header. Guests
+// without a (live) token get a new cart, and its token in the same header,
+// on routes that change the cart; routes that only read it get an empty,
+// unsaved cart.
+const loadShopperCart = ({ create }) => [
+  (req, res, next) =>
+    req.header("Authorization") ? auth(req, res, next) : next(),
+  async (req, res, next) => {
+    try {
+      if (req.user) {
+        req.cart = await Cart.findOrCreateByUser(req.user.id);
+        return next();
+      }
+
+      const token = req.header(GUEST_CART_HEADER);
+      req.cart = token && (await Cart.findByGuestToken(token));
+
+      if (!req.cart && create) {
+        const guest = await Cart.createGuestCart();
+        req.cart = guest.cart;
+        res.set(GUEST_CART_HEADER, guest.token);
+      } else if (!req.cart) {
+        req.cart = new Cart({ items: [] });
+      }
+
+      next();
+    } catch (err) {
+      console.error("Error loading cart:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+];
+
+const shopperCart = loadShopperCart({ create: true });
+const readShopperCart = loadShopperCart({ create: false });
+
+// Get the shopper's cart
+router.get("/", readShopperCart, async (req, res) => {
   try {
-    const cart = await Cart.findOrCreateByUser(req.user.id);
+    const { cart } = req;
 
     res.json(cart);
   } catch (err) {
@@ -21,7 +75,7 @@ router.get("/", auth, async (req, res) => {
 // Add item to cart
 router.post(
   "/items",
-  auth,
+  shopperCart,
   [
     body("productId").notEmpty().withMessage("Product ID is required"),
     body("quantity")
@@ -45,10 +99,7 @@ router.post(
       }
 
       // Check if product is in stock
-      if (
-        !product.inStock ||
-        (product.stockQuantity && product.stockQuantity < quantity)
-      ) {
+      if (!product.isAvailable(quantity)) {
         return res
           .status(400)
           .json({
@@ -56,16 +107,29 @@ router.post(
           });
       }
 
-      // Get cart for the user
-      const cart = await Cart.findOrCreateByUser(req.user.id);
-
-      // Add item to cart
-      await cart.addItem(product, quantity);
-      await cart.save();
+      const { cart } = req;
+
+      // Hold stock for the whole line, then add to it
+      const existingItem = cart.findItem(product._id);
+      await changeHeldLine(
+        cart,
+        product._id,
+        (existingItem ? existingItem.quantity : 0) + quantity,
+        async (reservedUntil) => {
+          await cart.addItem(product, quantity);
+          cart.findItem(product._id).reservedUntil = reservedUntil;
+          await cart.save();
+        }
+      );
 
       res.json(cart);
     } catch (err) {
       console.error("Error adding item to cart:", err);
+
+      if (err.message === "Insufficient stock") {
+        return res.status(409).json({ message: err.message, items: err.items });
+      }
+
       res.status(500).json({ message: "Server error" });
     }
   }
@@ -74,7 +138,7 @@ router.post(
 // Update cart item quantity
 router.patch(
   "/items/:productId",
-  auth,
+  shopperCart,
   [
     body("quantity")
       .isInt({ min: 0 })
@@ -91,12 +155,21 @@ router.patch(
       const { productId } = req.params;
       const { quantity } = req.body;
 
-      // Get cart for the user
-      const cart = await Cart.findOrCreateByUser(req.user.id);
+      const { cart } = req;
 
-      // Update item quantity (will remove if quantity is 0)
-      await cart.updateItemQuantity(productId, quantity);
-      await cart.save();
+      if (!cart.findItem(productId)) {
+        return res.status(404).json({ message: "Item not found in cart" });
+      }
+
+      // Adjust the stock hold (released if quantity is 0), then update item
+      // quantity (will remove if quantity is 0)
+      await changeHeldLine(cart, productId, quantity, async (reservedUntil) => {
+        await cart.updateItemQuantity(productId, quantity);
+        if (quantity > 0) {
+          cart.findItem(productId).reservedUntil = reservedUntil;
+        }
+        await cart.save();
+      });
 
       res.json(cart);
     } catch (err) {
@@ -106,26 +179,60 @@ router.patch(
         return res.status(404).json({ message: err.message });
       }
 
+      if (err.message === "Insufficient stock") {
+        return res.status(409).json({ message: err.message, items: err.items });
+      }
+
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
 // Remove item from cart
-router.delete("/items/:productId", auth, async (req, res) => {
+router.delete("/items/:productId", shopperCart, async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const { cart } = req;
+
+    // Remove item from cart and release its stock hold
+    await cart.removeItem(productId);
+    await cart.save();
+    await holdStock(cart._id, productId, 0);
+
+    res.json(cart);
+  } catch (err) {
+    console.error("Error removing item from cart:", err);
+
+    if (err.message === "Item not found in cart") {
+      return res.status(404).json({ message: err.message });
+    }
+
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Move a cart item to favorites
+router.post("/items/:productId/move-to-favorites", auth, async (req, res) => {
   try {
     const { productId } = req.params;
 
     // Get cart for the user
     const cart = await Cart.findOrCreateByUser(req.user.id);
 
-    // Remove item from cart
+    // Remove item from cart and release its stock hold
     await cart.removeItem(productId);
     await cart.save();
+    await holdStock(cart._id, productId, 0);
+
+    await User.updateOne(
+      { _id: req.user.id },
+      { $addToSet: { favoriteProducts: productId } }
+    );
 
     res.json(cart);
   } catch (err) {
-    console.error("Error removing item from cart:", err);
+    console.error("Error moving cart item to favorites:", err);
 
     if (err.message === "Item not found in cart") {
       return res.status(404).json({ message: err.message });
@@ -153,23 +260,38 @@ router.post(
       // Get cart for the user
       const cart = await Cart.findOrCreateByUser(req.user.id);
 
-      // In a real application, you would validate the coupon code against a database
-      // Here we'll use a simple mock coupon for demonstration
-      if (couponCode === "WELCOME10") {
-        cart.couponCode = couponCode;
-        cart.couponDiscount = parseFloat((cart.subtotal * 0.1).toFixed(2)); // 10% discount
-        await cart.calculateTotals();
-        await cart.save();
-        return res.json(cart);
-      } else if (couponCode === "FREESHIP") {
-        cart.couponCode = couponCode;
-        cart.couponDiscount = cart.shippingCost; // Free shipping
-        await cart.calculateTotals();
-        await cart.save();
-        return res.json(cart);
+      const coupon = await Coupon.findByCode(couponCode);
+      if (!coupon) {
+        return res.status(400).json({ message: "Invalid coupon code" });
+      }
+
+      // Check dates and usage limits
+      const redemptionError = await coupon.getRedemptionError(req.user.id);
+      if (redemptionError) {
+        return res.status(400).json({ message: redemptionError });
+      }
+
+      if (cart.subtotal < coupon.minSubtotal) {
+        const minimum = coupon.minSubtotal.toFixed(2);
+        return res.status(400).json({
+          message: `A minimum subtotal of $${minimum} is required`,
+        });
       }
 
-      return res.status(400).json({ message: "Invalid coupon code" });
+      // Check item restrictions
+      const lines = await cart.getCouponLines(coupon);
+      if (!lines.some((line) => coupon.appliesTo(line))) {
+        return res
+          .status(400)
+          .json({ message: "Coupon does not apply to any items in your cart" });
+      }
+
+      // The discount itself is computed by calculateTotals
+      cart.couponCode = coupon.code;
+      await cart.calculateTotals();
+      await cart.save();
+
+      res.json(cart);
     } catch (err) {
       console.error("Error applying coupon:", err);
       res.status(500).json({ message: "Server error" });
@@ -178,10 +300,9 @@ router.post(
 );
 
 // Remove coupon
-router.delete("/coupon", auth, async (req, res) => {
+router.delete("/coupon", shopperCart, async (req, res) => {
   try {
-    // Get cart for the user
-    const cart = await Cart.findOrCreateByUser(req.user.id);
+    const { cart } = req;
 
     // Remove coupon
     cart.couponCode = null;
@@ -196,15 +317,122 @@ router.delete("/coupon", auth, async (req, res) => {
   }
 });
 
+// Set where the cart ships to, so tax is calculated for that address
+router.put(
+  "/shipping-address",
+  auth,
+  loadUser,
+  addressValidation("shippingAddress", "shippingAddressId"),
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Get cart for the user
+      const cart = await Cart.findOrCreateByUser(req.user.id);
+
+      cart.shippingAddress = resolveAddresses(
+        req.currentUser,
+        req.body
+      ).shippingAddress;
+      await cart.calculateTotals();
+      await cart.save();
+
+      res.json(cart);
+    } catch (err) {
+      console.error("Error setting cart shipping address:", err);
+
+      if (err.message === "Address not found") {
+        return res.status(400).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Quote every shipping option for the cart, for its shipping address once
+// set
+router.get("/shipping-options", readShopperCart, async (req, res) => {
+  try {
+    const { cart } = req;
+    const options = await cart.getShippingOptions();
+
+    res.json({
+      options,
+      selected: cart.shippingOption?.speed || null,
+      shippingAddress: cart.shippingAddress || null,
+    });
+  } catch (err) {
+    console.error("Error quoting shipping options:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Choose how fast the cart ships
+router.put(
+  "/shipping-option",
+  shopperCart,
+  [body("speed").isIn(SHIPPING_SPEEDS).withMessage("Invalid shipping speed")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { cart } = req;
+
+      const option = (await cart.getShippingOptions()).find(
+        (candidate) => candidate.speed === req.body.speed
+      );
+      if (!option) {
+        return res
+          .status(400)
+          .json({ message: "Shipping option not available" });
+      }
+
+      cart.shippingOption = option;
+      await cart.calculateTotals();
+      await cart.save();
+
+      res.json(cart);
+    } catch (err) {
+      console.error("Error choosing shipping option:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the delivery slots that can be booked for the cart, per vendor of its
+// Food and Groceries items
+router.get("/delivery-slots", readShopperCart, async (req, res) => {
+  try {
+    const { cart } = req;
+    const vendors = await getAvailableSlots(
+      cart.items.map((item) => item.product)
+    );
+
+    res.json({ vendors });
+  } catch (err) {
+    console.error("Error fetching delivery slots:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Clear cart
-router.delete("/", auth, async (req, res) => {
+router.delete("/", shopperCart, async (req, res) => {
   try {
-    // Get cart for the user
-    const cart = await Cart.findOrCreateByUser(req.user.id);
+    const { cart } = req;
 
-    // Clear cart
+    // Clear cart and release its stock holds
     await cart.clearCart();
     await cart.save();
+    await releaseCart(cart._id);
 
     res.json(cart);
   } catch (err) {
@@ -214,43 +442,77 @@ router.delete("/", auth, async (req, res) => {
 });
 
 // Checkout cart
-router.post("/checkout", auth, async (req, res) => {
-  try {
-    // Get cart for the user
-    const cart = await Cart.findOrCreateByUser(req.user.id);
+router.post(
+  "/checkout",
+  auth,
+  requireVerifiedEmail,
+  [
+    ...addressValidation("shippingAddress", "shippingAddressId"),
+    body("billingAddressId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid address ID"),
+    paymentMethodValidation,
+    body("deliverySlotIds")
+      .optional()
+      .isArray()
+      .withMessage("Delivery slots must be an array"),
+    body("deliverySlotIds.*").isMongoId().withMessage("Invalid slot ID"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Check if cart has items
-    if (cart.items.length === 0) {
-      return res.status(400).json({ message: "Cart is empty" });
-    }
+      // Get cart for the user
+      const cart = await Cart.findOrCreateByUser(req.user.id);
 
-    // In a real application, you would create an order from the cart
-    // and handle payment processing here
-
-    // For demonstration, we'll just return a success message
-    const orderData = {
-      cartId: cart._id,
-      items: cart.items,
-      subtotal: cart.subtotal,
-      tax: cart.tax,
-      shippingCost: cart.shippingCost,
-      couponDiscount: cart.couponDiscount,
-      total: cart.total,
-      timestamp: new Date(),
-    };
-
-    // Clear cart after successful checkout
-    await cart.clearCart();
-    await cart.save();
+      // Check if cart has items
+      if (cart.items.length === 0) {
+        return res.status(400).json({ message: "Cart is empty" });
+      }
 
-    res.status(200).json({
-      message: "Checkout successful",
-      order: orderData,
-    });
-  } catch (err) {
-    console.error("Error during checkout:", err);
-    res.status(500).json({ message: "Server error" });
+      // Create the order, decrement stock and clear the cart atomically
+      const order = await checkoutCart(cart, {
+        ...resolveAddresses(req.currentUser, req.body),
+        paymentMethod: req.body.paymentMethod,
+        notes: req.body.notes,
+        deliverySlotIds: req.body.deliverySlotIds,
+      });
+      publishOrderEvent(order._id, "placed", { status: order.status });
+
+      res.status(201).json({
+        message: "Checkout successful",
+        order,
+      });
+    } catch (err) {
+      console.error("Error during checkout:", err);
+
+      if (err.message === "Insufficient stock") {
+        return res.status(409).json({ message: err.message, items: err.items });
+      }
+
+      if (
+        err.message === "Coupon is no longer available" ||
+        err.message === "Address not found" ||
+        err.message === "Shipping option not available" ||
+        err.message === "Invalid delivery slot"
+      ) {
+        return res.status(400).json({ message: err.message });
+      }
+
+      if (err.message === "Delivery slot is no longer available") {
+        return res
+          .status(409)
+          .json({ message: err.message, slotId: err.slotId });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 export default router;
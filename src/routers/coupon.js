@@ -0,0 +1,187 @@
+import { Router } from "express";
+import { body, validationResult } from "express-validator";
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import auth from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+
+const router = Router();
+
+// Fields an admin may set on a coupon
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minSubtotal",
+  "startsAt",
+  "endsAt",
+  "usageLimit",
+  "perUserLimit",
+  "categories",
+  "products",
+  "vendors",
+  "isActive",
+];
+
+// Only admins may manage coupons
+const adminOnly = requireRole("admin");
+
+// Validation middleware for creating/updating a coupon
+const couponValidation = [
+  body("code").notEmpty().withMessage("Coupon code is required"),
+  body("type")
+    .isIn(["percentage", "fixed", "free-shipping"])
+    .withMessage("Invalid coupon type"),
+  body("value")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Value must be a positive number")
+    .custom((value, { req }) => req.body.type !== "percentage" || value <= 100)
+    .withMessage("Percentage must be between 0 and 100"),
+  body("maxDiscount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Maximum discount must be a positive number"),
+  body("minSubtotal")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum subtotal must be a positive number"),
+  body("startsAt").optional().isISO8601().withMessage("Invalid date format"),
+  body("endsAt").optional().isISO8601().withMessage("Invalid date format"),
+  body("usageLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Usage limit must be at least 1"),
+  body("perUserLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Per-user limit must be at least 1"),
+  body("categories")
+    .optional()
+    .isArray()
+    .withMessage("Categories must be an array"),
+  body("products")
+    .optional()
+    .isArray()
+    .withMessage("Products must be an array"),
+  body("products.*").isMongoId().withMessage("Invalid product ID"),
+  body("vendors").optional().isArray().withMessage("Vendors must be an array"),
+  body("vendors.*").isMongoId().withMessage("Invalid vendor ID"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+// Get all coupons
+router.get("/", auth, adminOnly, async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (err) {
+    console.error("Error fetching coupons:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get coupon by ID, including its redemptions
+router.get("/:id", auth, adminOnly, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    const redemptions = await CouponRedemption.find({
+      coupon: coupon._id,
+    }).sort({ redeemedAt: -1 });
+
+    res.json({ ...coupon.toJSON(), redemptions });
+  } catch (err) {
+    console.error("Error fetching coupon:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Create a new coupon
+router.post("/", auth, adminOnly, couponValidation, async (req, res) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = new Coupon();
+    EDITABLE_FIELDS.forEach((key) => {
+      if (req.body[key] !== undefined) coupon[key] = req.body[key];
+    });
+
+    await coupon.save();
+
+    res.status(201).json(coupon);
+  } catch (err) {
+    console.error("Error creating coupon:", err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "Coupon code already exists" });
+    }
+
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update a coupon
+router.put("/:id", auth, adminOnly, couponValidation, async (req, res) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    // Update coupon fields (usage counters are never set directly)
+    EDITABLE_FIELDS.forEach((key) => {
+      if (req.body[key] !== undefined) coupon[key] = req.body[key];
+    });
+
+    await coupon.save();
+
+    res.json(coupon);
+  } catch (err) {
+    console.error("Error updating coupon:", err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "Coupon code already exists" });
+    }
+
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Delete a coupon
+router.delete("/:id", auth, adminOnly, async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    res.json({ message: "Coupon removed" });
+  } catch (err) {
+    console.error("Error deleting coupon:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,530 @@
+import { Router } from "express";
+import { body, param, validationResult } from "express-validator";
+import mongoose from "mongoose";
+import Driver from "../models/Driver.js";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import auth from "../middleware/auth.js";
+import { requireRole, requireVerifiedEmail } from "../middleware/roles.js";
+import {
+  DISPATCHABLE_STATUSES,
+  acceptOrder,
+  reofferOrder,
+} from "../services/dispatch.js";
+import { publishOrderEvent, publishStatusChange } from "../services/events.js";
+import { notify } from "../services/notifications.js";
+import { captureCashOnDelivery } from "../services/payments.js";
+
+const router = Router();
+
+const NEARBY_ORDERS_LIMIT = 20;
+
+// Load the driver profile of the authenticated driver
+const loadDriver = async (req, res, next) => {
+  try {
+    const driver = await Driver.findByUser(req.user.id);
+
+    if (!driver) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    req.driver = driver;
+    next();
+  } catch (err) {
+    console.error("Error loading driver profile:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const driverOnly = [requireRole("driver"), loadDriver];
+
+// Only admins may review driver applications
+const adminOnly = requireRole("admin");
+
+// Validation middleware for a location update
+const locationValidation = [
+  body("latitude")
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90"),
+  body("longitude")
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180"),
+];
+
+// Validation middleware for an order action
+const orderIdValidation = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+];
+
+// Apply to become a driver or update the vehicle details. Customers become
+// drivers once an admin approves their application.
+router.put(
+  "/me",
+  auth,
+  requireVerifiedEmail,
+  [
+    body("vehicle.type")
+      .isIn(["Bicycle", "Motorcycle", "Car", "Van"])
+      .withMessage("Invalid vehicle type"),
+    body("vehicle.model").optional().isString().trim(),
+    body("vehicle.plateNumber").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = req.currentUser;
+
+      // Only customers can apply to become drivers
+      if (user.role !== "customer" && user.role !== "driver") {
+        return res.status(403).json({
+          message: "Unauthorized: Only customers can register as drivers",
+        });
+      }
+
+      let driver = await Driver.findByUser(user._id);
+      if (!driver) {
+        driver = new Driver({ user: user._id, status: "Pending" });
+      } else if (driver.status === "Rejected") {
+        // Applying again puts the application back in the review queue
+        driver.status = "Pending";
+      }
+
+      driver.vehicle = {
+        type: req.body.vehicle.type,
+        model: req.body.vehicle.model,
+        plateNumber: req.body.vehicle.plateNumber,
+      };
+      await driver.save();
+
+      res.json(driver);
+    } catch (err) {
+      console.error("Error saving driver profile:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the driver profile, including the state of its application
+router.get("/me", auth, loadDriver, async (req, res) => {
+  res.json(req.driver);
+});
+
+// Get the driver application review queue, oldest first (admin only)
+router.get("/applications", auth, adminOnly, async (req, res) => {
+  try {
+    const { status = "Pending", limit = 20, page = 1 } = req.query;
+    const filter = status === "all" ? {} : { status };
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const drivers = await Driver.find(filter)
+      .populate("user", "name email")
+      .sort({ createdAt: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    // Get total count for pagination
+    const total = await Driver.countDocuments(filter);
+
+    res.json({
+      drivers,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching driver applications:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Approve or reject a driver application (admin only). Approving makes the
+// applicant a driver.
+router.patch(
+  "/applications/:id",
+  auth,
+  adminOnly,
+  [
+    param("id").isMongoId().withMessage("Invalid driver ID"),
+    body("decision")
+      .isIn(["approve", "reject"])
+      .withMessage("Decision must be approve or reject"),
+    body("notes").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const approve = req.body.decision === "approve";
+      let driver;
+
+      await mongoose.connection.transaction(async (session) => {
+        // Only pending applications can be reviewed, and only once
+        driver = await Driver.findOneAndUpdate(
+          { _id: req.params.id, status: "Pending" },
+          {
+            status: approve ? "Approved" : "Rejected",
+            reviewedBy: req.currentUser._id,
+            reviewedAt: new Date(),
+            reviewNotes: req.body.notes,
+          },
+          { new: true, session }
+        );
+
+        if (!driver || !approve) return;
+
+        const user = await User.findById(driver.user).session(session);
+        if (!user) {
+          throw new Error("Applicant not found");
+        }
+        if (user.role !== "customer" && user.role !== "driver") {
+          throw new Error("Only customers can become drivers");
+        }
+
+        user.role = "driver";
+        await user.save({ session });
+      });
+
+      if (!driver) {
+        const exists = await Driver.exists({ _id: req.params.id });
+        return exists
+          ? res
+              .status(409)
+              .json({ message: "Application has already been reviewed" })
+          : res.status(404).json({ message: "Application not found" });
+      }
+
+      notify(driver.user, "driver-application", { driver }).catch((err) => {
+        console.error("Error sending driver application notification:", err);
+      });
+
+      res.json(driver);
+    } catch (err) {
+      console.error("Error reviewing driver application:", err);
+
+      if (err.message === "Applicant not found") {
+        return res.status(404).json({ message: err.message });
+      }
+
+      if (err.message === "Only customers can become drivers") {
+        return res.status(409).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Go online or offline
+router.patch(
+  "/me/availability",
+  auth,
+  driverOnly,
+  [body("online").isBoolean().withMessage("online must be a boolean")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const driver = req.driver;
+
+      if (driver.currentOrder) {
+        return res
+          .status(400)
+          .json({ message: "Finish the current delivery first" });
+      }
+
+      driver.availability =
+        req.body.online === true || req.body.online === "true"
+          ? "available"
+          : "offline";
+      await driver.save();
+
+      res.json(driver);
+    } catch (err) {
+      console.error("Error updating driver availability:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update the driver's current location
+router.patch(
+  "/me/location",
+  auth,
+  driverOnly,
+  locationValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const driver = req.driver;
+
+      driver.location = {
+        type: "Point",
+        coordinates: [
+          parseFloat(req.body.longitude),
+          parseFloat(req.body.latitude),
+        ],
+      };
+      driver.locationUpdatedAt = new Date();
+      await driver.save();
+
+      // Let the customer follow the delivery
+      if (driver.currentOrder) {
+        publishOrderEvent(driver.currentOrder, "driver-location", {
+          latitude: parseFloat(req.body.latitude),
+          longitude: parseFloat(req.body.longitude),
+        });
+      }
+
+      res.json(driver);
+    } catch (err) {
+      console.error("Error updating driver location:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get orders the driver can accept: the one offered to them, and unoffered
+// orders nearest first
+router.get("/orders/available", auth, driverOnly, async (req, res) => {
+  try {
+    const driver = req.driver;
+
+    const filter = {
+      driver: null,
+      status: { $in: DISPATCHABLE_STATUSES },
+      "dispatch.declinedDrivers": { $ne: driver.user },
+      $or: [
+        { "dispatch.offeredTo": driver.user },
+        { "dispatch.offeredTo": null },
+      ],
+    };
+
+    let orders = [];
+    if (driver.location?.coordinates?.length) {
+      orders = await Order.find({
+        ...filter,
+        pickupLocation: {
+          $nearSphere: {
+            $geometry: {
+              type: "Point",
+              coordinates: driver.location.coordinates,
+            },
+          },
+        },
+      }).limit(NEARBY_ORDERS_LIMIT);
+    }
+
+    // Orders without a known pickup location come last, oldest first
+    if (orders.length < NEARBY_ORDERS_LIMIT) {
+      const unlocated = await Order.find({
+        ...filter,
+        "pickupLocation.coordinates": { $exists: false },
+      })
+        .sort({ createdAt: 1 })
+        .limit(NEARBY_ORDERS_LIMIT - orders.length);
+      orders = orders.concat(unlocated);
+    }
+
+    res.json(orders);
+  } catch (err) {
+    console.error("Error fetching available orders:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Accept an order
+router.post(
+  "/orders/:id/accept",
+  auth,
+  driverOnly,
+  orderIdValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await acceptOrder(req.params.id, req.driver);
+      publishOrderEvent(order._id, "driver-assigned", {
+        driver: order.driver,
+        vehicle: req.driver.vehicle,
+      });
+
+      res.json(order);
+    } catch (err) {
+      console.error("Error accepting order:", err);
+
+      if (
+        err.message === "Driver is not available" ||
+        err.message === "Order is not available"
+      ) {
+        return res.status(409).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Decline an order offered to the driver
+router.post(
+  "/orders/:id/decline",
+  auth,
+  driverOnly,
+  orderIdValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findById(req.params.id);
+
+      if (
+        !order ||
+        order.dispatch.offeredTo?.toString() !== req.driver.user.toString()
+      ) {
+        return res
+          .status(404)
+          .json({ message: "No offer for this order was found" });
+      }
+
+      await reofferOrder(order);
+
+      res.json({ message: "Order declined" });
+    } catch (err) {
+      console.error("Error declining order:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Pick up an accepted order
+router.post(
+  "/orders/:id/pickup",
+  auth,
+  driverOnly,
+  orderIdValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findOne({
+        _id: req.params.id,
+        driver: req.driver.user,
+      });
+
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      order.transitionTo("Out for Delivery", {
+        actor: req.driver.user,
+        actorRole: "driver",
+        reason: "Picked up by driver",
+      });
+      order.dispatch.pickedUpAt = new Date();
+      await order.save();
+      publishStatusChange(order);
+
+      res.json(order);
+    } catch (err) {
+      console.error("Error picking up order:", err);
+
+      if (err.message.startsWith("Cannot change order status")) {
+        return res.status(400).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Mark an order as delivered
+router.post(
+  "/orders/:id/deliver",
+  auth,
+  driverOnly,
+  orderIdValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findOne({
+        _id: req.params.id,
+        driver: req.driver.user,
+      });
+
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      order.transitionTo("Delivered", {
+        actor: req.driver.user,
+        actorRole: "driver",
+        reason: "Delivered by driver",
+      });
+      await order.save();
+      publishStatusChange(order);
+
+      // The driver is free for the next order
+      const driver = req.driver;
+      driver.availability = "available";
+      driver.currentOrder = null;
+      await driver.save();
+
+      // The delivery stands even if collecting the cash fails
+      try {
+        await captureCashOnDelivery(order);
+      } catch (err) {
+        console.error("Error capturing cash on delivery:", err);
+      }
+
+      res.json(order);
+    } catch (err) {
+      console.error("Error delivering order:", err);
+
+      if (err.message.startsWith("Cannot change order status")) {
+        return res.status(400).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,130 @@
+import { Router } from "express";
+import { body, param, validationResult } from "express-validator";
+import Notification, { NOTIFICATION_CHANNELS } from "../models/Notification.js";
+import auth from "../middleware/auth.js";
+
+const router = Router();
+
+// Get the user's notifications, newest first
+router.get("/", auth, async (req, res) => {
+  try {
+    const { unread, limit = 20, page = 1 } = req.query;
+    const filter = { user: req.user.id };
+
+    if (unread === "true") {
+      filter.readAt = null;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    // Get total count for pagination
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get the user's notification preferences
+router.get("/preferences", auth, async (req, res) => {
+  res.json(req.currentUser.notificationPreferences);
+});
+
+// Update the user's notification preferences
+router.patch(
+  "/preferences",
+  auth,
+  NOTIFICATION_CHANNELS.map((channel) =>
+    body(channel)
+      .optional()
+      .isBoolean()
+      .withMessage(`${channel} must be a boolean`)
+      .toBoolean()
+  ),
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = req.currentUser;
+
+      NOTIFICATION_CHANNELS.forEach((channel) => {
+        if (req.body[channel] !== undefined) {
+          user.notificationPreferences[channel] = req.body[channel];
+        }
+      });
+      await user.save();
+
+      res.json(user.notificationPreferences);
+    } catch (err) {
+      console.error("Error updating notification preferences:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Mark every notification as read
+router.patch("/read-all", auth, async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.markAllRead(req.user.id);
+
+    res.json({ message: "Notifications marked as read", modifiedCount });
+  } catch (err) {
+    console.error("Error marking notifications as read:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Mark a notification as read
+router.patch(
+  "/:id/read",
+  auth,
+  [param("id").isMongoId().withMessage("Invalid notification ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const notification = await Notification.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+      });
+
+      if (!notification) {
+        return res.status(404).json({ message: "Notification not found" });
+      }
+
+      await notification.markRead();
+
+      res.json(notification);
+    } catch (err) {
+      console.error("Error marking notification as read:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
@@ -1,72 +1,377 @@
 import { Router } from "express";
-import { body, param, validationResult } from "express-validator";
-import Order from "../models/Order.js";
+import { body, param, query, validationResult } from "express-validator";
+import mongoose from "mongoose";
+import Coupon from "../models/Coupon.js";
+import Order, { ORDER_STATUSES } from "../models/Order.js";
+import { SHIPPING_SPEEDS } from "../models/ShippingZone.js";
 import auth from "../middleware/auth.js";
+import {
+  canActOn,
+  isAdmin,
+  loadUser,
+  requireRole,
+  requireVerifiedEmail,
+} from "../middleware/roles.js";
+import {
+  redeemCoupon,
+  releaseCoupon,
+  resolveAddresses,
+  takeStock,
+} from "../services/checkout.js";
+import { releaseDeliverySlots } from "../services/deliverySlots.js";
+import {
+  DISPATCHABLE_STATUSES,
+  offerOrder,
+  releaseOrderDriver,
+} from "../services/dispatch.js";
+import {
+  publishOrderEvent,
+  publishStatusChange,
+  subscribeToOrder,
+} from "../services/events.js";
+import {
+  cancelOrderPayment,
+  captureCashOnDelivery,
+  refundFulfillment,
+} from "../services/payments.js";
+import { diffPricing, priceOrderItems } from "../services/pricing.js";
+import { requestReturn, reviewReturn } from "../services/returns.js";
+import {
+  addressValidation,
+  paymentMethodValidation,
+} from "../utils/validators.js";
 
 const router = Router();
 
-// Validation middleware for creating an order
+const STREAM_HEARTBEAT_MS = 25 * 1000; // 25 seconds
+
+// EventSource can't set headers, so order streams also accept the access
+// token as ?access_token=
+const acceptQueryToken = (req, res, next) => {
+  if (!req.header("Authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Check whether the loaded user may fulfill an order: admins, or vendors
+// selling at least one of its items
+const canFulfill = async (req, order) => {
+  if (isAdmin(req)) return true;
+  if (req.currentUser.role !== "vendor") return false;
+  return order.includesVendor(req.currentUser._id);
+};
+
+// Check whether the loaded user may view an order: its owner, its driver,
+// or anyone who may fulfill it
+const canView = async (req, order) =>
+  canActOn(req, order.userId) ||
+  order.driver?.toString() === req.user.id ||
+  canFulfill(req, order);
+
+// Follow up on a status change: offer orders to drivers once they are
+// being prepared, collect cash on delivery, and free the driver, delivery
+// slots and coupon and settle the payment of cancelled orders
+const afterStatusChange = async (order) => {
+  try {
+    if (order.status === "Cancelled") {
+      await releaseOrderDriver(order);
+      await releaseDeliverySlots(order);
+      await releaseCoupon(order);
+      await cancelOrderPayment(order);
+    } else if (order.status === "Delivered") {
+      await captureCashOnDelivery(order);
+    } else if (DISPATCHABLE_STATUSES.includes(order.status)) {
+      await offerOrder(order);
+    }
+  } catch (err) {
+    console.error("Error following up on order status change:", err);
+  }
+};
+
+// Get the fulfillment a vendor acts on in an order. Admins, and vendors of
+// orders placed before orders were split by vendor, act on the whole order.
+const getOwnFulfillment = (req, order) =>
+  isAdmin(req) ? null : order.getFulfillmentFor(req.currentUser._id);
+
+// Check whether the loaded user sees the whole order rather than their
+// fulfillment: its owner, its driver or an admin
+const seesWholeOrder = (req, order) =>
+  canActOn(req, order.userId) || order.driver?.toString() === req.user.id;
+
+// Build what a viewer of an order's live stream gets: its current state and
+// a filter for its events. Like toVendorJSON, vendors only see their own
+// fulfillment and returns of their own items.
+const streamView = (req, order) => {
+  const fulfillment = seesWholeOrder(req, order)
+    ? null
+    : getOwnFulfillment(req, order);
+  const tracked = fulfillment || order;
+
+  const snapshot = {
+    status: order.status,
+    trackingNumber: tracked.trackingNumber,
+    estimatedDeliveryDate: tracked.estimatedDeliveryDate,
+    driver: order.driver,
+  };
+  if (!fulfillment) {
+    return { snapshot, filter: (event) => event };
+  }
+
+  const fulfillmentId = fulfillment._id.toString();
+  const productIds = new Set(fulfillment.items.map((item) => item.productId));
+
+  const filter = (event) => {
+    if (event.type === "fulfillment" || event.type === "tracking") {
+      return event.data.fulfillmentId?.toString() === fulfillmentId
+        ? event
+        : null;
+    }
+
+    if (event.type === "return") {
+      const ownProductIds = (event.data.productIds || []).filter((productId) =>
+        productIds.has(productId)
+      );
+      return ownProductIds.length > 0
+        ? { ...event, data: { ...event.data, productIds: ownProductIds } }
+        : null;
+    }
+
+    return event;
+  };
+
+  return { snapshot: { ...snapshot, fulfillmentId }, filter };
+};
+
+// Move a fulfillment to the requested status, then follow up: refund its
+// share and free its delivery slot if it was cancelled, and announce the
+// order's status if it changed
+const updateFulfillmentStatus = async (req, order, fulfillment) => {
+  const previousStatus = order.status;
+
+  order.transitionFulfillment(fulfillment, req.body.status, {
+    actor: req.currentUser._id,
+    actorRole: isAdmin(req) ? "admin" : "vendor",
+    reason: req.body.reason,
+  });
+  await order.save();
+  publishOrderEvent(order._id, "fulfillment", {
+    fulfillmentId: fulfillment._id,
+    vendor: fulfillment.vendor,
+    status: fulfillment.status,
+  });
+
+  if (order.status !== previousStatus) {
+    publishStatusChange(order);
+    await afterStatusChange(order);
+  }
+
+  if (fulfillment.status === "Cancelled" && order.status !== "Cancelled") {
+    try {
+      await releaseDeliverySlots(order, fulfillment.vendor);
+      await refundFulfillment(order, fulfillment);
+    } catch (err) {
+      console.error("Error following up on cancelled fulfillment:", err);
+    }
+  }
+};
+
+// Respond to a failed status change
+const statusChangeError = (res, err) => {
+  if (err.message.startsWith("Cannot change order status")) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  if (err.message === "Unauthorized status change") {
+    return res.status(403).json({ message: err.message });
+  }
+
+  if (err.name === "VersionError") {
+    return res
+      .status(409)
+      .json({ message: "Order was updated concurrently, please retry" });
+  }
+
+  res.status(500).json({ message: "Server error" });
+};
+
+// Validation middleware for a status change
+const statusValidation = [
+  body("status").isIn(ORDER_STATUSES).withMessage("Invalid status"),
+  body("reason").optional().isString().trim(),
+];
+
+// Validation middleware for tracking information
+const trackingValidation = [
+  body("trackingNumber").notEmpty().withMessage("Tracking number is required"),
+  body("estimatedDeliveryDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format"),
+];
+
+// Set the tracking information of an order or fulfillment and announce it
+const updateTracking = async (req, order, target) => {
+  target.trackingNumber = req.body.trackingNumber;
+  if (req.body.estimatedDeliveryDate) {
+    target.estimatedDeliveryDate = new Date(req.body.estimatedDeliveryDate);
+  }
+  await order.save();
+  publishOrderEvent(order._id, "tracking", {
+    ...(target !== order && { fulfillmentId: target._id }),
+    trackingNumber: target.trackingNumber,
+    estimatedDeliveryDate: target.estimatedDeliveryDate,
+  });
+};
+
+// Validation middleware for creating an order. Money fields are advisory:
+// they are checked against server-side pricing but never trusted.
 const createOrderValidation = [
   body("items")
     .isArray({ min: 1 })
     .withMessage("At least one item is required"),
-  body("items.*.productId").notEmpty().withMessage("Product ID is required"),
-  body("items.*.name").notEmpty().withMessage("Product name is required"),
+  body("items.*.productId").isMongoId().withMessage("Invalid product ID"),
   body("items.*.quantity")
     .isInt({ min: 1 })
     .withMessage("Quantity must be at least 1"),
   body("items.*.price")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Price must be a positive number"),
-  body("shippingAddress.fullName")
-    .notEmpty()
-    .withMessage("Full name is required"),
-  body("shippingAddress.streetAddress")
-    .notEmpty()
-    .withMessage("Street address is required"),
-  body("shippingAddress.city").notEmpty().withMessage("City is required"),
-  body("shippingAddress.state").notEmpty().withMessage("State is required"),
-  body("shippingAddress.zipCode")
-    .notEmpty()
-    .withMessage("Zip code is required"),
-  body("paymentMethod")
-    .isIn(["Credit Card", "PayPal", "Cash On Delivery"])
-    .withMessage("Invalid payment method"),
+  ...addressValidation("shippingAddress", "shippingAddressId"),
+  body("billingAddressId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid address ID"),
+  paymentMethodValidation,
   body("subtotal")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Subtotal must be a positive number"),
   body("shippingCost")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Shipping cost must be a positive number"),
-  body("tax").isFloat({ min: 0 }).withMessage("Tax must be a positive number"),
+  body("tax")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Tax must be a positive number"),
   body("total")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Total must be a positive number"),
+  body("couponCode").optional().isString().trim(),
+  body("shippingSpeed")
+    .optional()
+    .isIn(SHIPPING_SPEEDS)
+    .withMessage("Invalid shipping speed"),
 ];
 
 // Create a new order
-router.post("/", auth, createOrderValidation, async (req, res) => {
-  try {
-    // Validation check
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+router.post(
+  "/",
+  auth,
+  requireVerifiedEmail,
+  createOrderValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Create new order
-    const order = new Order({
-      userId: req.user.id,
-      ...req.body,
-    });
+      // Check the coupon, if any
+      let coupon = null;
+      if (req.body.couponCode) {
+        coupon = await Coupon.findByCode(req.body.couponCode);
+        if (!coupon) {
+          return res.status(400).json({ message: "Invalid coupon code" });
+        }
 
-    await order.save();
+        const redemptionError = await coupon.getRedemptionError(req.user.id);
+        if (redemptionError) {
+          return res.status(400).json({ message: redemptionError });
+        }
+      }
 
-    res.status(201).json(order);
-  } catch (err) {
-    console.error("Error creating order:", err);
-    res.status(500).json({ message: "Server error" });
+      // Build the order first, so its addresses get the schema's defaults
+      // (like the country tax rules match on) before it is priced
+      const order = new Order({
+        userId: req.user.id,
+        ...resolveAddresses(req.currentUser, req.body),
+        paymentMethod: req.body.paymentMethod,
+        notes: req.body.notes,
+      });
+
+      // Price the order from the catalogue and tax it where it ships
+      const pricing = await priceOrderItems(
+        req.body.items.map((item) => ({
+          productId: item.productId,
+          quantity: parseInt(item.quantity),
+        })),
+        coupon,
+        order.shippingAddress,
+        req.body.shippingSpeed
+      );
+
+      // Don't redeem coupons that take nothing off the order
+      if (coupon && pricing.couponDiscount === 0) {
+        return res
+          .status(400)
+          .json({ message: "Coupon does not apply to this order" });
+      }
+
+      // Reject quotes that disagree with the server-side pricing
+      const differences = diffPricing(req.body, pricing);
+      if (differences.length > 0) {
+        return res.status(409).json({
+          message: "Order prices do not match current pricing",
+          differences,
+          pricing,
+        });
+      }
+
+      order.set(pricing);
+
+      // Take the items out of stock, save the order and record the coupon
+      // redemption together, as checkout does
+      await mongoose.connection.transaction(async (session) => {
+        await takeStock(order.items, session);
+        await order.save({ session });
+
+        if (order.couponCode) {
+          await redeemCoupon(order, session);
+        }
+      });
+      publishOrderEvent(order._id, "placed", { status: order.status });
+
+      res.status(201).json(order);
+    } catch (err) {
+      console.error("Error creating order:", err);
+
+      if (
+        err.message === "Coupon is no longer available" ||
+        err.message === "Address not found" ||
+        err.message === "Shipping option not available"
+      ) {
+        return res.status(400).json({ message: err.message });
+      }
+
+      if (err.message === "Product not found") {
+        return res
+          .status(400)
+          .json({ message: err.message, productIds: err.productIds });
+      }
+
+      if (err.message === "Insufficient stock") {
+        return res.status(409).json({ message: err.message, items: err.items });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // Get all orders for the authenticated user
 router.get("/", auth, async (req, res) => {
@@ -79,8 +384,61 @@ router.get("/", auth, async (req, res) => {
   }
 });
 
+// Get the vendor's fulfillments, newest first, optionally by ?status=
+router.get(
+  "/fulfillments",
+  auth,
+  requireRole("vendor"),
+  [
+    query("status")
+      .optional()
+      .isIn(ORDER_STATUSES)
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, limit = 20, page = 1 } = req.query;
+      const vendorId = req.currentUser._id;
+      const filter = {
+        fulfillments: {
+          $elemMatch: { vendor: vendorId, ...(status && { status }) },
+        },
+      };
+
+      // Calculate pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const orders = await Order.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip);
+
+      // Get total count for pagination
+      const total = await Order.countDocuments(filter);
+
+      res.json({
+        orders: orders.map((order) => order.toVendorJSON(vendorId)),
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (err) {
+      console.error("Error fetching fulfillments:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Get order by ID
-router.get("/:id", auth, async (req, res) => {
+router.get("/:id", auth, loadUser, async (req, res) => {
   try {
     const order = await Order.findByOrderId(req.params.id);
 
@@ -88,27 +446,128 @@ router.get("/:id", auth, async (req, res) => {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    // Check if the order belongs to the authenticated user
-    if (order.userId.toString() !== req.user.id) {
+    // Check if the order belongs to the authenticated user, one of its
+    // vendors, its driver or an admin
+    if (!(await canView(req, order))) {
       return res.status(403).json({ message: "Unauthorized" });
     }
 
-    res.json(order);
+    // Vendors only see their own part of the order
+    res.json(
+      seesWholeOrder(req, order)
+        ? order
+        : order.toVendorJSON(req.currentUser._id)
+    );
   } catch (err) {
     console.error("Error fetching order:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Update order status
+// Get the status history of an order
+router.get("/:id/timeline", auth, loadUser, async (req, res) => {
+  try {
+    const order = await Order.findByOrderId(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // Check if the order belongs to the authenticated user, one of its
+    // vendors, its driver or an admin
+    if (!(await canView(req, order))) {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    // Vendors only see the history of their own fulfillment
+    const tracked = seesWholeOrder(req, order)
+      ? order
+      : getOwnFulfillment(req, order) || order;
+
+    res.json({
+      orderId: order._id,
+      ...(tracked !== order && { fulfillmentId: tracked._id }),
+      status: tracked.status,
+      timeline: tracked.statusHistory,
+    });
+  } catch (err) {
+    console.error("Error fetching order timeline:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Stream live updates of an order as Server-Sent Events
+router.get(
+  "/:id/stream",
+  acceptQueryToken,
+  auth,
+  loadUser,
+  async (req, res) => {
+    try {
+      const order = await Order.findByOrderId(req.params.id);
+
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      // Check if the order belongs to the authenticated user, one of its
+      // vendors, its driver or an admin
+      if (!(await canView(req, order))) {
+        return res.status(403).json({ message: "Unauthorized" });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+
+      const { snapshot, filter } = streamView(req, order);
+      const send = (event) => {
+        const visible = filter(event);
+        if (!visible) return;
+        res.write(
+          `event: ${visible.type}\ndata: ${JSON.stringify(visible)}\n\n`
+        );
+      };
+
+      // Start with the current state, then forward every update the user
+      // may see
+      send({
+        type: "snapshot",
+        orderId: order._id.toString(),
+        data: snapshot,
+        at: new Date(),
+      });
+      const unsubscribe = subscribeToOrder(order._id, send);
+
+      // Keep proxies from closing an idle connection
+      const heartbeat = setInterval(() => {
+        res.write(": heartbeat\n\n");
+      }, STREAM_HEARTBEAT_MS);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (err) {
+      console.error("Error streaming order:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update order status (vendors of the order and admins). Vendors update
+// their own fulfillment, and the order follows from its fulfillments.
 router.patch(
   "/:id/status",
   auth,
+  requireVerifiedEmail,
+  requireRole("vendor", "admin"),
   [
     param("id").notEmpty().withMessage("Order ID is required"),
-    body("status")
-      .isIn(["Processing", "In Transit", "Delivered", "Cancelled"])
-      .withMessage("Invalid status"),
+    ...statusValidation,
   ],
   async (req, res) => {
     try {
@@ -124,19 +583,31 @@ router.patch(
         return res.status(404).json({ message: "Order not found" });
       }
 
-      // Only allow the user who created the order to update it
-      if (order.userId.toString() !== req.user.id) {
+      // Only allow vendors of the order's products and admins
+      if (!(await canFulfill(req, order))) {
         return res.status(403).json({ message: "Unauthorized" });
       }
 
-      // Update status
-      order.status = req.body.status;
+      const fulfillment = getOwnFulfillment(req, order);
+      if (fulfillment) {
+        await updateFulfillmentStatus(req, order, fulfillment);
+        return res.json(order.toVendorJSON(req.currentUser._id));
+      }
+
+      // Update status through the order lifecycle
+      order.transitionTo(req.body.status, {
+        actor: req.currentUser._id,
+        actorRole: isAdmin(req) ? "admin" : "vendor",
+        reason: req.body.reason,
+      });
       await order.save();
+      publishStatusChange(order);
+      await afterStatusChange(order);
 
       res.json(order);
     } catch (err) {
       console.error("Error updating order status:", err);
-      res.status(500).json({ message: "Server error" });
+      statusChangeError(res, err);
     }
   }
 );
@@ -145,7 +616,11 @@ router.patch(
 router.post(
   "/:id/cancel",
   auth,
-  [param("id").notEmpty().withMessage("Order ID is required")],
+  loadUser,
+  [
+    param("id").notEmpty().withMessage("Order ID is required"),
+    body("reason").optional().isString().trim(),
+  ],
   async (req, res) => {
     try {
       const order = await Order.findById(req.params.id);
@@ -154,21 +629,28 @@ router.post(
         return res.status(404).json({ message: "Order not found" });
       }
 
-      // Only allow the user who created the order to cancel it
-      if (order.userId.toString() !== req.user.id) {
+      // Only allow the user who created the order or an admin to cancel it
+      if (!canActOn(req, order.userId)) {
         return res.status(403).json({ message: "Unauthorized" });
       }
 
       // Check if order can be cancelled
-      if (order.status === "Delivered") {
+      const actorRole = isAdmin(req) ? "admin" : "customer";
+      if (!order.canTransitionTo("Cancelled", actorRole)) {
         return res
           .status(400)
-          .json({ message: "Cannot cancel a delivered order" });
+          .json({ message: `Cannot cancel an order that is ${order.status}` });
       }
 
       // Update status
-      order.status = "Cancelled";
+      order.transitionTo("Cancelled", {
+        actor: req.currentUser._id,
+        actorRole,
+        reason: req.body.reason,
+      });
       await order.save();
+      publishStatusChange(order);
+      await afterStatusChange(order);
 
       res.json(order);
     } catch (err) {
@@ -178,19 +660,16 @@ router.post(
   }
 );
 
-// Add tracking information
+// Add tracking information (vendors of the order and admins). Vendors add
+// it to their own fulfillment.
 router.patch(
   "/:id/tracking",
   auth,
+  requireVerifiedEmail,
+  requireRole("vendor", "admin"),
   [
     param("id").notEmpty().withMessage("Order ID is required"),
-    body("trackingNumber")
-      .notEmpty()
-      .withMessage("Tracking number is required"),
-    body("estimatedDeliveryDate")
-      .optional()
-      .isISO8601()
-      .withMessage("Invalid date format"),
+    ...trackingValidation,
   ],
   async (req, res) => {
     try {
@@ -206,17 +685,19 @@ router.patch(
         return res.status(404).json({ message: "Order not found" });
       }
 
-      // Only allow the user who created the order to update it
-      if (order.userId.toString() !== req.user.id) {
+      // Only allow vendors of the order's products and admins
+      if (!(await canFulfill(req, order))) {
         return res.status(403).json({ message: "Unauthorized" });
       }
 
-      // Update tracking info
-      order.trackingNumber = req.body.trackingNumber;
-      if (req.body.estimatedDeliveryDate) {
-        order.estimatedDeliveryDate = new Date(req.body.estimatedDeliveryDate);
+      const fulfillment = getOwnFulfillment(req, order);
+      if (fulfillment) {
+        await updateTracking(req, order, fulfillment);
+        return res.json(order.toVendorJSON(req.currentUser._id));
       }
-      await order.save();
+
+      // Update tracking info
+      await updateTracking(req, order, order);
 
       res.json(order);
     } catch (err) {
@@ -226,4 +707,216 @@ router.patch(
   }
 );
 
+// Load a fulfillment onto req.fulfillment for its vendor or an admin
+const loadFulfillment = async (req, res, next) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+    const fulfillment = order?.fulfillments.id(req.params.fulfillmentId);
+
+    if (!fulfillment) {
+      return res.status(404).json({ message: "Fulfillment not found" });
+    }
+
+    if (!isAdmin(req) && fulfillment.vendor.toString() !== req.currentUser.id) {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    req.order = order;
+    req.fulfillment = fulfillment;
+    next();
+  } catch (err) {
+    console.error("Error loading fulfillment:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Respond with the order as the user may see it
+const sendOrder = (req, res) =>
+  res.json(
+    isAdmin(req) ? req.order : req.order.toVendorJSON(req.currentUser._id)
+  );
+
+// Validation middleware for the fulfillment routes
+const fulfillmentValidation = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+  param("fulfillmentId").isMongoId().withMessage("Invalid fulfillment ID"),
+];
+
+// Update the status of a fulfillment (its vendor and admins)
+router.patch(
+  "/:id/fulfillments/:fulfillmentId/status",
+  auth,
+  requireVerifiedEmail,
+  requireRole("vendor", "admin"),
+  [...fulfillmentValidation, ...statusValidation],
+  loadFulfillment,
+  async (req, res) => {
+    try {
+      await updateFulfillmentStatus(req, req.order, req.fulfillment);
+      sendOrder(req, res);
+    } catch (err) {
+      console.error("Error updating fulfillment status:", err);
+      statusChangeError(res, err);
+    }
+  }
+);
+
+// Add tracking information to a fulfillment (its vendor and admins)
+router.patch(
+  "/:id/fulfillments/:fulfillmentId/tracking",
+  auth,
+  requireVerifiedEmail,
+  requireRole("vendor", "admin"),
+  [...fulfillmentValidation, ...trackingValidation],
+  loadFulfillment,
+  async (req, res) => {
+    try {
+      await updateTracking(req, req.order, req.fulfillment);
+      sendOrder(req, res);
+    } catch (err) {
+      console.error("Error updating fulfillment tracking:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Request a return of delivered items (the order's owner)
+router.post(
+  "/:id/returns",
+  auth,
+  [
+    param("id").isMongoId().withMessage("Invalid order ID"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.productId").notEmpty().withMessage("Product ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("reason").notEmpty().trim().withMessage("Reason is required"),
+    body("photos").optional().isArray().withMessage("Photos must be a list"),
+    body("photos.*").isURL().withMessage("Invalid photo URL"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findById(req.params.id);
+
+      if (!order || order.userId.toString() !== req.user.id) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      const request = await requestReturn(order, {
+        items: req.body.items,
+        reason: req.body.reason,
+        photos: req.body.photos,
+      });
+
+      res.status(201).json(request);
+    } catch (err) {
+      console.error("Error requesting return:", err);
+
+      if (err.message === "Only delivered items can be returned") {
+        return res.status(400).json({ message: err.message });
+      }
+
+      if (err.message === "Return window has closed") {
+        return res
+          .status(400)
+          .json({ message: err.message, windowEnd: err.windowEnd });
+      }
+
+      if (err.message === "Invalid return items") {
+        return res.status(400).json({ message: err.message, items: err.items });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Approve or reject a return (the vendor of all its items, or an admin)
+router.patch(
+  "/:id/returns/:returnId",
+  auth,
+  requireVerifiedEmail,
+  requireRole("vendor", "admin"),
+  [
+    param("id").isMongoId().withMessage("Invalid order ID"),
+    param("returnId").isMongoId().withMessage("Invalid return ID"),
+    body("decision")
+      .isIn(["approve", "reject"])
+      .withMessage("Decision must be approve or reject"),
+    body("restock")
+      .optional()
+      .isBoolean()
+      .withMessage("restock must be a boolean")
+      .toBoolean(),
+    body("note").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findById(req.params.id);
+
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      // Only allow vendors of the order's products and admins
+      if (!(await canFulfill(req, order))) {
+        return res.status(403).json({ message: "Unauthorized" });
+      }
+
+      const { order: updated } = await reviewReturn(
+        order,
+        req.params.returnId,
+        {
+          approve: req.body.decision === "approve",
+          restock: req.body.restock,
+          note: req.body.note,
+          actor: req.currentUser._id,
+          actorRole: isAdmin(req) ? "admin" : "vendor",
+        }
+      );
+
+      res.json(updated);
+    } catch (err) {
+      console.error("Error reviewing return:", err);
+
+      if (err.message === "Return not found") {
+        return res.status(404).json({ message: err.message });
+      }
+
+      if (err.message === "Unauthorized return review") {
+        return res.status(403).json({
+          message: "Only an admin can review returns of other vendors' items",
+        });
+      }
+
+      if (err.message === "Return has already been reviewed") {
+        return res.status(409).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,182 @@
+import { Router } from "express";
+import { body, param, validationResult } from "express-validator";
+import Order from "../models/Order.js";
+import Payment from "../models/Payment.js";
+import auth from "../middleware/auth.js";
+import { canActOn, requireRole } from "../middleware/roles.js";
+import {
+  getProvider,
+  handleWebhookEvent,
+  payOrder,
+  refundPayment,
+} from "../services/payments.js";
+
+const router = Router();
+
+// Receive payment events from a provider. The signature is checked against
+// the raw request body.
+router.post("/webhooks/:provider", async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getProvider(req.params.provider);
+    } catch (err) {
+      provider = null;
+    }
+
+    if (!provider?.verifyWebhook) {
+      return res.status(404).json({ message: "Unknown payment provider" });
+    }
+
+    if (!req.rawBody || !provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(401).json({ message: "Invalid signature" });
+    }
+
+    await handleWebhookEvent(provider.name, provider.parseWebhook(req.body));
+
+    // Acknowledge duplicates and unknown payments too, so they aren't retried
+    res.json({ received: true });
+  } catch (err) {
+    console.error("Error handling payment webhook:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Pay for an order awaiting payment (the order's owner)
+router.post(
+  "/orders/:orderId",
+  auth,
+  [
+    param("orderId").isMongoId().withMessage("Invalid order ID"),
+    body("token").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findById(req.params.orderId);
+
+      if (!order || order.userId.toString() !== req.user.id) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      const payment = await payOrder(order, { token: req.body.token });
+
+      if (payment.status === "Failed") {
+        return res.status(402).json({
+          message: payment.failureReason || "Payment failed",
+          payment,
+        });
+      }
+
+      res.status(payment.status === "Completed" ? 201 : 202).json(payment);
+    } catch (err) {
+      console.error("Error paying for order:", err);
+
+      if (
+        err.message === "Cash on delivery orders are paid on delivery" ||
+        err.message === "Order is not awaiting payment"
+      ) {
+        return res.status(400).json({ message: err.message });
+      }
+
+      if (err.message === "Order already has a payment in progress") {
+        return res.status(409).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the payments of an order (the order's owner or an admin)
+router.get(
+  "/orders/:orderId",
+  auth,
+  [param("orderId").isMongoId().withMessage("Invalid order ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findById(req.params.orderId);
+
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      if (!canActOn(req, order.userId)) {
+        return res.status(403).json({ message: "Unauthorized" });
+      }
+
+      const payments = await Payment.find({ order: order._id }).sort({
+        createdAt: -1,
+      });
+
+      res.json(payments);
+    } catch (err) {
+      console.error("Error fetching payments:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Refund a payment, in full or in part (admin only)
+router.post(
+  "/:id/refund",
+  auth,
+  requireRole("admin"),
+  [
+    param("id").isMongoId().withMessage("Invalid payment ID"),
+    body("amount")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be a positive number"),
+    body("reason").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const payment = await Payment.findById(req.params.id);
+
+      if (!payment) {
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      const refunded = await refundPayment(payment, {
+        amount:
+          req.body.amount !== undefined
+            ? parseFloat(req.body.amount)
+            : undefined,
+        reason: req.body.reason,
+      });
+
+      res.json(refunded);
+    } catch (err) {
+      console.error("Error refunding payment:", err);
+
+      if (
+        err.message === "Nothing to refund" ||
+        err.message === "Refund exceeds the refundable amount"
+      ) {
+        return res.status(400).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
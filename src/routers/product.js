@@ -1,10 +1,34 @@
 import { Router } from "express";
 import { body, validationResult } from "express-validator";
 import Product from "../models/Product.js";
-import auth from "../middleware/auth.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import {
+  canActOn,
+  requireVerifiedEmail,
+  requireVerifiedVendor,
+} from "../middleware/roles.js";
+import { releaseProductHolds } from "../services/reservations.js";
 
 const router = Router();
 
+// Fields a vendor may set on their product. Ratings follow from reviews and
+// reserved stock from carts, so neither is set directly.
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "category",
+  "image",
+  "inStock",
+  "stockQuantity",
+  "tags",
+  "featured",
+  "discountPercentage",
+  "weight",
+  "isBulky",
+  "isArchived",
+];
+
 // Validation middleware for creating/updating a product
 const productValidation = [
   body("name").notEmpty().withMessage("Product name is required"),
@@ -24,10 +48,38 @@ const productValidation = [
     .optional()
     .isFloat({ min: 0, max: 100 })
     .withMessage("Discount must be between 0 and 100"),
+  body("isArchived")
+    .optional()
+    .isBoolean()
+    .withMessage("isArchived must be a boolean"),
+  body("weight")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Weight must be a positive number"),
+  body("isBulky")
+    .optional()
+    .isBoolean()
+    .withMessage("isBulky must be a boolean"),
 ];
 
+// Flag the logged-in user's favorite products
+const withFavoriteFlags = (req, products) => {
+  if (!req.currentUser) {
+    return products;
+  }
+
+  const favorites = new Set(
+    req.currentUser.favoriteProducts.map((id) => id.toString())
+  );
+
+  return products.map((product) => ({
+    ...product.toJSON(),
+    isFavorite: favorites.has(product._id.toString()),
+  }));
+};
+
 // Get all products with optional filtering
-router.get("/", async (req, res) => {
+router.get("/", optionalAuth, async (req, res) => {
   try {
     const {
       category,
@@ -41,7 +93,7 @@ router.get("/", async (req, res) => {
       page = 1,
     } = req.query;
 
-    const filter = {};
+    const filter = { isArchived: { $ne: true } };
 
     // Apply filters if provided
     if (category) filter.category = category;
@@ -65,7 +117,7 @@ router.get("/", async (req, res) => {
     if (sort) {
       if (sort === "price-asc") sortOption = { price: 1 };
       if (sort === "price-desc") sortOption = { price: -1 };
-      if (sort === "rating-desc") sortOption = { rating: -1 };
+      if (sort === "rating-desc") sortOption = { rating: -1, numReviews: -1 };
       if (sort === "newest") sortOption = { createdAt: -1 };
     }
 
@@ -82,7 +134,7 @@ router.get("/", async (req, res) => {
     const total = await Product.countDocuments(filter);
 
     res.json({
-      products,
+      products: withFavoriteFlags(req, products),
       pagination: {
         total,
         page: parseInt(page),
@@ -96,7 +148,7 @@ router.get("/", async (req, res) => {
 });
 
 // Get product by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
 
@@ -104,107 +156,136 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    res.json(product);
+    res.json(withFavoriteFlags(req, [product])[0]);
   } catch (err) {
     console.error("Error fetching product:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Create a new product (requires authentication as a vendor)
-router.post("/", auth, productValidation, async (req, res) => {
-  try {
-    // Validation check
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    // Create new product
-    const product = new Product({
-      ...req.body,
-      vendor: req.user.id, // Set the authenticated user as the vendor
-    });
-
-    await product.save();
-
-    res.status(201).json(product);
-  } catch (err) {
-    console.error("Error creating product:", err);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
-// Update a product (only by the vendor who created it)
-router.put("/:id", auth, productValidation, async (req, res) => {
-  try {
-    // Validation check
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const product = await Product.findById(req.params.id);
-
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
-
-    // Check if the current user is the vendor
-    if (product.vendor.toString() !== req.user.id) {
-      return res.status(403).json({
-        message: "Unauthorized: You can only update your own products",
+// Create a new product (requires a verified vendor or an admin)
+router.post(
+  "/",
+  auth,
+  requireVerifiedEmail,
+  requireVerifiedVendor,
+  productValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Create new product
+      const product = new Product({
+        vendor: req.user.id, // Set the authenticated user as the vendor
+      });
+      EDITABLE_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) product[key] = req.body[key];
       });
-    }
-
-    // Update product fields
-    Object.keys(req.body).forEach((key) => {
-      product[key] = req.body[key];
-    });
 
-    await product.save();
+      await product.save();
 
-    res.json(product);
-  } catch (err) {
-    console.error("Error updating product:", err);
-    res.status(500).json({ message: "Server error" });
+      res.status(201).json(product);
+    } catch (err) {
+      console.error("Error creating product:", err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
+
+// Update a product (only by the verified vendor who created it or an admin)
+router.put(
+  "/:id",
+  auth,
+  requireVerifiedEmail,
+  requireVerifiedVendor,
+  productValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      // Check if the current user is the vendor
+      if (!canActOn(req, product.vendor)) {
+        return res.status(403).json({
+          message: "Unauthorized: You can only update your own products",
+        });
+      }
+
+      // Update product fields
+      EDITABLE_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) product[key] = req.body[key];
+      });
 
-// Delete a product (only by the vendor who created it)
-router.delete("/:id", auth, async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
+      await product.save();
 
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+      res.json(product);
+    } catch (err) {
+      console.error("Error updating product:", err);
+      res.status(500).json({ message: "Server error" });
     }
-
-    // Check if the current user is the vendor
-    if (product.vendor.toString() !== req.user.id) {
-      return res.status(403).json({
-        message: "Unauthorized: You can only delete your own products",
-      });
+  }
+);
+
+// Archive a product (only by the verified vendor who created it or an
+// admin). It stays in the database for order history, and the stock carts
+// hold for it is released.
+router.delete(
+  "/:id",
+  auth,
+  requireVerifiedEmail,
+  requireVerifiedVendor,
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      // Check if the current user is the vendor
+      if (!canActOn(req, product.vendor)) {
+        return res.status(403).json({
+          message: "Unauthorized: You can only delete your own products",
+        });
+      }
+
+      product.isArchived = true;
+      await product.save();
+      await releaseProductHolds(product._id);
+
+      res.json({ message: "Product archived" });
+    } catch (err) {
+      console.error("Error deleting product:", err);
+      res.status(500).json({ message: "Server error" });
     }
-
-    await product.remove();
-
-    res.json({ message: "Product removed" });
-  } catch (err) {
-    console.error("Error deleting product:", err);
-    res.status(500).json({ message: "Server error" });
   }
-});
+);
 
 // Get featured products
-router.get("/featured/list", async (req, res) => {
+router.get("/featured/list", optionalAuth, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 5;
-    const products = await Product.find({ featured: true })
+    const products = await Product.find({
+      featured: true,
+      isArchived: { $ne: true },
+    })
       .sort({ createdAt: -1 })
       .limit(limit);
 
-    res.json(products);
+    res.json(withFavoriteFlags(req, products));
   } catch (err) {
     console.error("Error fetching featured products:", err);
     res.status(500).json({ message: "Server error" });
@@ -212,10 +293,13 @@ router.get("/featured/list", async (req, res) => {
 });
 
 // Get products by vendor
-router.get("/vendor/:vendorId", async (req, res) => {
+router.get("/vendor/:vendorId", optionalAuth, async (req, res) => {
   try {
-    const products = await Product.find({ vendor: req.params.vendorId });
-    res.json(products);
+    const products = await Product.find({
+      vendor: req.params.vendorId,
+      isArchived: { $ne: true },
+    });
+    res.json(withFavoriteFlags(req, products));
   } catch (err) {
     console.error("Error fetching vendor products:", err);
     res.status(500).json({ message: "Server error" });
@@ -0,0 +1,277 @@
+import { Router } from "express";
+import { body, param, validationResult } from "express-validator";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import Review from "../models/Review.js";
+import auth from "../middleware/auth.js";
+import {
+  canActOn,
+  requireVerifiedEmail,
+  requireVerifiedVendor,
+} from "../middleware/roles.js";
+
+// Mounted under /api/products/:productId/reviews
+const router = Router({ mergeParams: true });
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  "rating-desc": { rating: -1, createdAt: -1 },
+  "rating-asc": { rating: 1, createdAt: -1 },
+};
+
+// Validation middleware for creating/updating a review
+const reviewValidation = [
+  param("productId").isMongoId().withMessage("Invalid product ID"),
+  body("rating")
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be between 1 and 5"),
+  body("text").optional().isString().trim(),
+  body("photoUrl").optional().isURL().withMessage("Invalid photo URL"),
+];
+
+// Validation middleware for routes acting on one review
+const reviewIdValidation = [
+  param("productId").isMongoId().withMessage("Invalid product ID"),
+  param("reviewId").isMongoId().withMessage("Invalid review ID"),
+];
+
+// Get reviews for a product
+router.get(
+  "/",
+  [param("productId").isMongoId().withMessage("Invalid product ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { sort = "newest", limit = 10, page = 1 } = req.query;
+      const filter = { product: req.params.productId };
+
+      // Calculate pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const reviews = await Review.find(filter)
+        .populate("user", "name profileImage")
+        .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.newest)
+        .limit(parseInt(limit))
+        .skip(skip);
+
+      // Get total count for pagination
+      const total = await Review.countDocuments(filter);
+
+      res.json({
+        reviews,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (err) {
+      console.error("Error fetching reviews:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create a review (customers with a delivered order for the product)
+router.post("/", auth, reviewValidation, async (req, res) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId } = req.params;
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    // Check that the user has received the product: its fulfillment was
+    // delivered, or the whole order for orders placed before orders were
+    // split by vendor
+    const hasPurchased = await Order.exists({
+      userId: req.user.id,
+      $or: [
+        {
+          fulfillments: {
+            $elemMatch: { status: "Delivered", "items.productId": productId },
+          },
+        },
+        {
+          "fulfillments.0": { $exists: false },
+          status: "Delivered",
+          "items.productId": productId,
+        },
+      ],
+    });
+    if (!hasPurchased) {
+      return res.status(403).json({
+        message: "Only customers who received this product can review it",
+      });
+    }
+
+    const review = new Review({
+      product: productId,
+      user: req.user.id,
+      rating: req.body.rating,
+      text: req.body.text,
+      photoUrl: req.body.photoUrl,
+    });
+
+    await review.save();
+    await Review.adjustProductRating(productId, {
+      count: 1,
+      rating: review.rating,
+    });
+
+    res.status(201).json(review);
+  } catch (err) {
+    console.error("Error creating review:", err);
+
+    if (err.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "You have already reviewed this product" });
+    }
+
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update a review (only by its author)
+router.put(
+  "/:reviewId",
+  auth,
+  [...reviewValidation, ...reviewIdValidation],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const review = await Review.findOne({
+        _id: req.params.reviewId,
+        product: req.params.productId,
+      });
+
+      if (!review) {
+        return res.status(404).json({ message: "Review not found" });
+      }
+
+      if (review.user.toString() !== req.user.id) {
+        return res.status(403).json({
+          message: "Unauthorized: You can only update your own reviews",
+        });
+      }
+
+      const previousRating = review.rating;
+      review.rating = req.body.rating;
+      review.text = req.body.text;
+      review.photoUrl = req.body.photoUrl;
+
+      await review.save();
+      await Review.adjustProductRating(review.product, {
+        rating: review.rating - previousRating,
+      });
+
+      res.json(review);
+    } catch (err) {
+      console.error("Error updating review:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete a review (by its author or an admin)
+router.delete("/:reviewId", auth, reviewIdValidation, async (req, res) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      product: req.params.productId,
+    });
+
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    if (!canActOn(req, review.user)) {
+      return res.status(403).json({
+        message: "Unauthorized: You can only delete your own reviews",
+      });
+    }
+
+    await review.deleteOne();
+    await Review.adjustProductRating(review.product, {
+      count: -1,
+      rating: -review.rating,
+    });
+
+    res.json({ message: "Review removed" });
+  } catch (err) {
+    console.error("Error deleting review:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Reply to a review (by the product's verified vendor or an admin)
+router.post(
+  "/:reviewId/reply",
+  auth,
+  requireVerifiedEmail,
+  requireVerifiedVendor,
+  [
+    ...reviewIdValidation,
+    body("text").notEmpty().trim().withMessage("Reply text is required"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const review = await Review.findOne({
+        _id: req.params.reviewId,
+        product: req.params.productId,
+      }).populate("product", "vendor");
+
+      if (!review) {
+        return res.status(404).json({ message: "Review not found" });
+      }
+
+      if (!canActOn(req, review.product?.vendor)) {
+        return res.status(403).json({
+          message:
+            "Unauthorized: You can only reply to reviews of your products",
+        });
+      }
+
+      review.vendorReply = { text: req.body.text, repliedAt: new Date() };
+      await review.save();
+
+      res.json(review);
+    } catch (err) {
+      console.error("Error replying to review:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
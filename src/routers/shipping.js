@@ -0,0 +1,194 @@
+import { Router } from "express";
+import { body, param, validationResult } from "express-validator";
+import ShippingZone, { SHIPPING_SPEEDS } from "../models/ShippingZone.js";
+import auth from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+
+const router = Router();
+
+// Only admins may manage shipping zones
+router.use(auth, requireRole("admin"));
+
+// Fields an admin may set on a shipping zone
+const EDITABLE_FIELDS = [
+  "name",
+  "vendor",
+  "zipPrefixes",
+  "maxDistanceKm",
+  "rates",
+  "heavySurcharge",
+  "bulkySurcharge",
+  "priority",
+  "isActive",
+];
+
+// Validation middleware for creating/updating a shipping zone
+const zoneValidation = [
+  body("name").notEmpty().trim().withMessage("Name is required"),
+  body("vendor")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid vendor ID"),
+  body("zipPrefixes")
+    .optional()
+    .isArray()
+    .withMessage("Zip prefixes must be an array"),
+  body("zipPrefixes.*").isString().trim().notEmpty(),
+  body("maxDistanceKm")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Distance must be a positive number"),
+  body("rates")
+    .isArray({ min: 1 })
+    .withMessage("At least one rate is required"),
+  body("rates.*.speed")
+    .isIn(SHIPPING_SPEEDS)
+    .withMessage("Invalid shipping speed"),
+  body("rates.*.price")
+    .isFloat({ min: 0 })
+    .withMessage("Price must be a positive number"),
+  body(["rates.*.minDays", "rates.*.maxDays"])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Days must be a positive number"),
+  body("rates")
+    .custom((rates) =>
+      rates.every(
+        (rate, index) =>
+          rates.findIndex((other) => other.speed === rate.speed) === index
+      )
+    )
+    .withMessage("Each speed may only have one rate"),
+  body(["heavySurcharge", "bulkySurcharge"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Surcharge must be a positive number"),
+  body("priority").optional().isInt().withMessage("Priority must be a number"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+// Get all shipping zones
+router.get("/", async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ priority: -1, name: 1 });
+    res.json(zones);
+  } catch (err) {
+    console.error("Error fetching shipping zones:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get shipping zone by ID
+router.get(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid shipping zone ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const zone = await ShippingZone.findById(req.params.id);
+
+      if (!zone) {
+        return res.status(404).json({ message: "Shipping zone not found" });
+      }
+
+      res.json(zone);
+    } catch (err) {
+      console.error("Error fetching shipping zone:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create a new shipping zone
+router.post("/", zoneValidation, async (req, res) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = new ShippingZone();
+    EDITABLE_FIELDS.forEach((key) => {
+      if (req.body[key] !== undefined) zone[key] = req.body[key];
+    });
+
+    await zone.save();
+
+    res.status(201).json(zone);
+  } catch (err) {
+    console.error("Error creating shipping zone:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update a shipping zone
+router.put(
+  "/:id",
+  [
+    param("id").isMongoId().withMessage("Invalid shipping zone ID"),
+    ...zoneValidation,
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const zone = await ShippingZone.findById(req.params.id);
+
+      if (!zone) {
+        return res.status(404).json({ message: "Shipping zone not found" });
+      }
+
+      EDITABLE_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) zone[key] = req.body[key];
+      });
+
+      await zone.save();
+
+      res.json(zone);
+    } catch (err) {
+      console.error("Error updating shipping zone:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete a shipping zone
+router.delete(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid shipping zone ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+      if (!zone) {
+        return res.status(404).json({ message: "Shipping zone not found" });
+      }
+
+      res.json({ message: "Shipping zone removed" });
+    } catch (err) {
+      console.error("Error deleting shipping zone:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
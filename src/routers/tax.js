@@ -0,0 +1,196 @@
+import { Router } from "express";
+import { body, param, validationResult } from "express-validator";
+import { PRODUCT_CATEGORIES } from "../models/Product.js";
+import TaxRule from "../models/TaxRule.js";
+import auth from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+
+const router = Router();
+
+// Only admins may manage tax rules
+router.use(auth, requireRole("admin"));
+
+// Fields an admin may set on a tax rule
+const EDITABLE_FIELDS = [
+  "name",
+  "country",
+  "state",
+  "zipPrefix",
+  "rate",
+  "categoryRates",
+  "inclusive",
+  "isActive",
+];
+
+// Validation middleware for creating/updating a tax rule
+const taxRuleValidation = [
+  body("name").notEmpty().trim().withMessage("Name is required"),
+  body("country").notEmpty().trim().withMessage("Country is required"),
+  body(["state", "zipPrefix"]).optional({ values: "null" }).isString().trim(),
+  body("rate")
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("Rate must be between 0 and 1"),
+  body("categoryRates")
+    .optional()
+    .isArray()
+    .withMessage("Category rates must be an array"),
+  body("categoryRates.*.category")
+    .isIn(PRODUCT_CATEGORIES)
+    .withMessage("Invalid category"),
+  body("categoryRates.*.rate")
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("Rate must be between 0 and 1"),
+  body(["inclusive", "isActive"])
+    .optional()
+    .isBoolean()
+    .withMessage("Must be a boolean"),
+];
+
+// Get all tax rules
+router.get("/", async (req, res) => {
+  try {
+    const rules = await TaxRule.find().sort({ country: 1, state: 1 });
+    res.json(rules);
+  } catch (err) {
+    console.error("Error fetching tax rules:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Preview the tax rule that applies to an address
+router.post(
+  "/lookup",
+  [body("country").notEmpty().withMessage("Country is required")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rule = await TaxRule.findForAddress({
+        country: String(req.body.country),
+        state: req.body.state && String(req.body.state),
+        zipCode: req.body.zipCode && String(req.body.zipCode),
+      });
+
+      res.json({ rule });
+    } catch (err) {
+      console.error("Error looking up tax rule:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get tax rule by ID
+router.get(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid tax rule ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rule = await TaxRule.findById(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({ message: "Tax rule not found" });
+      }
+
+      res.json(rule);
+    } catch (err) {
+      console.error("Error fetching tax rule:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create a new tax rule
+router.post("/", taxRuleValidation, async (req, res) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = new TaxRule();
+    EDITABLE_FIELDS.forEach((key) => {
+      if (req.body[key] !== undefined) rule[key] = req.body[key];
+    });
+
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (err) {
+    console.error("Error creating tax rule:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update a tax rule
+router.put(
+  "/:id",
+  [
+    param("id").isMongoId().withMessage("Invalid tax rule ID"),
+    ...taxRuleValidation,
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rule = await TaxRule.findById(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({ message: "Tax rule not found" });
+      }
+
+      EDITABLE_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) rule[key] = req.body[key];
+      });
+
+      await rule.save();
+
+      res.json(rule);
+    } catch (err) {
+      console.error("Error updating tax rule:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete a tax rule
+router.delete(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid tax rule ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rule = await TaxRule.findByIdAndDelete(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({ message: "Tax rule not found" });
+      }
+
+      res.json({ message: "Tax rule removed" });
+    } catch (err) {
+      console.error("Error deleting tax rule:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
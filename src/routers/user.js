@@ -0,0 +1,316 @@
+import { Router } from "express";
+import { body, param, validationResult } from "express-validator";
+import auth from "../middleware/auth.js";
+import Cart from "../models/Cart.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { changeHeldLine } from "../services/reservations.js";
+import { addressValidation } from "../utils/validators.js";
+
+const router = Router();
+
+// Fields a user may set on a saved address
+const ADDRESS_FIELDS = [
+  "fullName",
+  "streetAddress",
+  "apartment",
+  "city",
+  "state",
+  "zipCode",
+  "country",
+  "phone",
+  "location",
+];
+
+const saveAddressValidation = [
+  ...addressValidation(),
+  body("isDefault")
+    .optional()
+    .isBoolean()
+    .withMessage("isDefault must be a boolean"),
+];
+
+// Pick the address fields out of a request body
+const pickAddress = (source) =>
+  ADDRESS_FIELDS.reduce((address, key) => {
+    if (source[key] !== undefined) address[key] = source[key];
+    return address;
+  }, {});
+
+// Get the user's saved addresses
+router.get("/me/addresses", auth, async (req, res) => {
+  try {
+    res.json(req.currentUser.addresses);
+  } catch (err) {
+    console.error("Error fetching addresses:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Add an address
+router.post("/me/addresses", auth, saveAddressValidation, async (req, res) => {
+  try {
+    // Validation check
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.currentUser;
+
+    user.addresses.push(pickAddress(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+    user.syncDefaultAddress(req.body.isDefault ? address._id : undefined);
+
+    await user.save();
+
+    res.status(201).json(user.addresses);
+  } catch (err) {
+    console.error("Error adding address:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update an address
+router.put(
+  "/me/addresses/:addressId",
+  auth,
+  saveAddressValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = req.currentUser;
+      const address = user.addresses.id(req.params.addressId);
+
+      if (!address) {
+        return res.status(404).json({ message: "Address not found" });
+      }
+
+      address.set(pickAddress(req.body));
+      user.syncDefaultAddress(req.body.isDefault ? address._id : undefined);
+
+      await user.save();
+
+      res.json(user.addresses);
+    } catch (err) {
+      console.error("Error updating address:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Make an address the default
+router.patch("/me/addresses/:addressId/default", auth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    user.syncDefaultAddress(address._id);
+    await user.save();
+
+    res.json(user.addresses);
+  } catch (err) {
+    console.error("Error setting default address:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Remove an address
+router.delete("/me/addresses/:addressId", auth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    // Another address becomes the default if this one was
+    address.deleteOne();
+    user.syncDefaultAddress();
+
+    await user.save();
+
+    res.json(user.addresses);
+  } catch (err) {
+    console.error("Error removing address:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get the user's favorite products, newest first. Deleted products are
+// pruned from the list and archived ones are left out.
+router.get("/me/favorites", auth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const products = await Product.find({
+      _id: { $in: user.favoriteProducts },
+    });
+    const productsById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    const deletedIds = user.favoriteProducts.filter(
+      (id) => !productsById.has(id.toString())
+    );
+    if (deletedIds.length > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $pull: { favoriteProducts: { $in: deletedIds } } }
+      );
+    }
+
+    const favorites = user.favoriteProducts
+      .map((id) => productsById.get(id.toString()))
+      .filter((product) => product && !product.isArchived)
+      .reverse();
+
+    res.json(favorites);
+  } catch (err) {
+    console.error("Error fetching favorites:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Add a product to favorites
+router.post(
+  "/me/favorites",
+  auth,
+  [body("productId").isMongoId().withMessage("Invalid product ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const product = await Product.findById(req.body.productId);
+      if (!product || product.isArchived) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $addToSet: { favoriteProducts: product._id } },
+        { new: true }
+      );
+
+      res.status(201).json({ favoriteProducts: user.favoriteProducts });
+    } catch (err) {
+      console.error("Error adding favorite:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove a product from favorites
+router.delete(
+  "/me/favorites/:productId",
+  auth,
+  [param("productId").isMongoId().withMessage("Invalid product ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $pull: { favoriteProducts: req.params.productId } },
+        { new: true }
+      );
+
+      res.json({ favoriteProducts: user.favoriteProducts });
+    } catch (err) {
+      console.error("Error removing favorite:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Move a favorite product into the cart
+router.post(
+  "/me/favorites/:productId/move-to-cart",
+  auth,
+  [
+    param("productId").isMongoId().withMessage("Invalid product ID"),
+    body("quantity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { productId } = req.params;
+      const quantity = parseInt(req.body.quantity) || 1;
+
+      const isFavorite = req.currentUser.favoriteProducts.some(
+        (id) => id.toString() === productId
+      );
+      if (!isFavorite) {
+        return res.status(404).json({ message: "Product is not a favorite" });
+      }
+
+      const product = await Product.findById(productId);
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      // Check if product is in stock
+      if (!product.isAvailable(quantity)) {
+        return res.status(400).json({
+          message: "Product is out of stock or has insufficient quantity",
+        });
+      }
+
+      const cart = await Cart.findOrCreateByUser(req.user.id);
+
+      // Hold stock for the whole line, then add to it
+      const existingItem = cart.findItem(product._id);
+      await changeHeldLine(
+        cart,
+        product._id,
+        (existingItem ? existingItem.quantity : 0) + quantity,
+        async (reservedUntil) => {
+          await cart.addItem(product, quantity);
+          cart.findItem(product._id).reservedUntil = reservedUntil;
+          await cart.save();
+        }
+      );
+
+      await User.updateOne(
+        { _id: req.user.id },
+        { $pull: { favoriteProducts: product._id } }
+      );
+
+      res.json(cart);
+    } catch (err) {
+      console.error("Error moving favorite to cart:", err);
+
+      if (err.message === "Insufficient stock") {
+        return res.status(409).json({ message: err.message, items: err.items });
+      }
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,637 @@
+import { Router } from "express";
+import { body, param, query, validationResult } from "express-validator";
+import mongoose from "mongoose";
+import DeliverySlot from "../models/DeliverySlot.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import VendorApplication from "../models/VendorApplication.js";
+import auth from "../middleware/auth.js";
+import {
+  isAdmin,
+  requireRole,
+  requireVerifiedEmail,
+  requireVerifiedVendor,
+} from "../middleware/roles.js";
+import {
+  getVendorLowStock,
+  getVendorSalesSeries,
+  getVendorSummary,
+} from "../services/analytics.js";
+import { notify } from "../services/notifications.js";
+import { dateRangeValidation, getDateRange } from "../utils/validators.js";
+
+const router = Router();
+
+// Only admins may review applications
+const adminOnly = requireRole("admin");
+
+const LOW_STOCK_THRESHOLD = 5;
+
+// Filter matching vendors whose storefront is public
+const PUBLIC_VENDOR_FILTER = { role: "vendor", "vendorInfo.isVerified": true };
+
+// Validation middleware for a vendor application
+const applicationValidation = [
+  body("businessName")
+    .notEmpty()
+    .trim()
+    .withMessage("Business name is required"),
+  body("businessAddress")
+    .notEmpty()
+    .trim()
+    .withMessage("Business address is required"),
+  body("businessPhone")
+    .notEmpty()
+    .trim()
+    .withMessage("Business phone is required"),
+  body("businessEmail")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid business email is required"),
+  body("businessDescription").optional().isString().trim(),
+  body("businessLogo").optional().isURL().withMessage("Invalid logo URL"),
+];
+
+// Apply to become a vendor (customers only)
+router.post(
+  "/apply",
+  auth,
+  requireVerifiedEmail,
+  applicationValidation,
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.currentUser.role !== "customer") {
+        return res
+          .status(400)
+          .json({ message: "Only customers can apply to become vendors" });
+      }
+
+      const application = new VendorApplication({
+        user: req.currentUser._id,
+        businessName: req.body.businessName,
+        businessAddress: req.body.businessAddress,
+        businessDescription: req.body.businessDescription,
+        businessLogo: req.body.businessLogo,
+        businessPhone: req.body.businessPhone,
+        businessEmail: req.body.businessEmail,
+      });
+
+      await application.save();
+
+      res.status(201).json(application);
+    } catch (err) {
+      console.error("Error submitting vendor application:", err);
+
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json({ message: "You already have an application under review" });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the user's own applications
+router.get("/applications/me", auth, async (req, res) => {
+  try {
+    const applications = await VendorApplication.find({
+      user: req.user.id,
+    }).sort({ createdAt: -1 });
+
+    res.json(applications);
+  } catch (err) {
+    console.error("Error fetching vendor applications:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get the review queue, oldest first (admin only)
+router.get("/applications", auth, adminOnly, async (req, res) => {
+  try {
+    const { status = "Pending", limit = 20, page = 1 } = req.query;
+    const filter = status === "all" ? {} : { status };
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const applications = await VendorApplication.find(filter)
+      .populate("user", "name email")
+      .sort({ createdAt: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    // Get total count for pagination
+    const total = await VendorApplication.countDocuments(filter);
+
+    res.json({
+      applications,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching vendor applications:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Approve or reject an application (admin only). Approving promotes the
+// applicant to a verified vendor with the application's business details.
+router.patch(
+  "/applications/:id",
+  auth,
+  adminOnly,
+  [
+    param("id").isMongoId().withMessage("Invalid application ID"),
+    body("decision")
+      .isIn(["approve", "reject"])
+      .withMessage("Decision must be approve or reject"),
+    body("notes").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const approve = req.body.decision === "approve";
+      let application;
+
+      await mongoose.connection.transaction(async (session) => {
+        // Only pending applications can be reviewed, and only once
+        application = await VendorApplication.findOneAndUpdate(
+          { _id: req.params.id, status: "Pending" },
+          {
+            status: approve ? "Approved" : "Rejected",
+            reviewedBy: req.currentUser._id,
+            reviewedAt: new Date(),
+            reviewNotes: req.body.notes,
+          },
+          { new: true, session }
+        );
+
+        if (!application || !approve) return;
+
+        const user = await User.findById(application.user).session(session);
+        if (!user) {
+          throw new Error("Applicant not found");
+        }
+
+        // The applicant's role may have changed since they applied
+        if (user.role !== "customer") {
+          throw new Error("Only customers can become vendors");
+        }
+
+        user.role = "vendor";
+        user.isVendor = true;
+        user.vendorInfo = {
+          ...user.toObject().vendorInfo,
+          ...application.getBusinessInfo(),
+          isVerified: true,
+        };
+        await user.save({ session });
+      });
+
+      if (!application) {
+        const exists = await VendorApplication.exists({ _id: req.params.id });
+        return exists
+          ? res
+              .status(409)
+              .json({ message: "Application has already been reviewed" })
+          : res.status(404).json({ message: "Application not found" });
+      }
+
+      notify(application.user, "vendor-application", { application }).catch(
+        (err) => {
+          console.error("Error sending vendor application notification:", err);
+        }
+      );
+
+      res.json(application);
+    } catch (err) {
+      console.error("Error reviewing vendor application:", err);
+
+      if (err.message === "Applicant not found") {
+        return res.status(404).json({ message: err.message });
+      }
+
+      if (err.message === "Only customers can become vendors") {
+        return res.status(409).json({ message: err.message });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update the vendor's storefront, pickup location and free shipping
+// threshold (null removes it)
+router.patch(
+  "/me",
+  auth,
+  requireVerifiedVendor,
+  [
+    body("businessDescription").optional().isString().trim(),
+    body("businessLogo").optional().isURL().withMessage("Invalid logo URL"),
+    body("latitude")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Latitude must be between -90 and 90"),
+    body("longitude")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Longitude must be between -180 and 180"),
+    body("freeShippingThreshold")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Free shipping threshold must be a positive number"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = req.currentUser;
+
+      if (req.body.businessDescription !== undefined) {
+        user.vendorInfo.businessDescription = req.body.businessDescription;
+      }
+      if (req.body.businessLogo !== undefined) {
+        user.vendorInfo.businessLogo = req.body.businessLogo;
+      }
+      if (req.body.freeShippingThreshold !== undefined) {
+        user.vendorInfo.freeShippingThreshold = req.body.freeShippingThreshold;
+      }
+      if (req.body.latitude !== undefined && req.body.longitude !== undefined) {
+        user.vendorInfo.location = {
+          type: "Point",
+          coordinates: [
+            parseFloat(req.body.longitude),
+            parseFloat(req.body.latitude),
+          ],
+        };
+      }
+      await user.save();
+
+      res.json(user.vendorInfo);
+    } catch (err) {
+      console.error("Error updating vendor storefront:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Validation middleware for the vendor's analytics. Admins may look at any
+// vendor with ?vendorId=.
+const analyticsValidation = [
+  ...dateRangeValidation,
+  query("vendorId").optional().isMongoId().withMessage("Invalid vendor ID"),
+];
+
+// Get the vendor whose analytics are requested
+const getAnalyticsVendorId = (req) =>
+  isAdmin(req) && req.query.vendorId ? req.query.vendorId : req.currentUser._id;
+
+// Get revenue and units sold per day, week or month
+router.get(
+  "/me/sales",
+  auth,
+  requireVerifiedVendor,
+  [
+    ...analyticsValidation,
+    query("interval")
+      .optional()
+      .isIn(["day", "week", "month"])
+      .withMessage("Interval must be day, week or month"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { from, to } = getDateRange(req);
+      const interval = req.query.interval || "day";
+
+      const series = await getVendorSalesSeries(getAnalyticsVendorId(req), {
+        from,
+        to,
+        interval,
+      });
+
+      res.json({ from, to, interval, series });
+    } catch (err) {
+      console.error("Error fetching vendor sales:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the vendor's sales summary, order statuses, top and low-stock products
+router.get(
+  "/me/dashboard",
+  auth,
+  requireVerifiedVendor,
+  [
+    ...analyticsValidation,
+    query("lowStockThreshold")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Low stock threshold must be a positive number"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { from, to } = getDateRange(req);
+      const vendorId = getAnalyticsVendorId(req);
+      const threshold =
+        req.query.lowStockThreshold !== undefined
+          ? parseInt(req.query.lowStockThreshold)
+          : LOW_STOCK_THRESHOLD;
+
+      const [summary, lowStock] = await Promise.all([
+        getVendorSummary(vendorId, { from, to }),
+        getVendorLowStock(vendorId, threshold),
+      ]);
+
+      res.json({ from, to, ...summary, lowStock });
+    } catch (err) {
+      console.error("Error fetching vendor dashboard:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the vendor's upcoming delivery slots, soonest first
+router.get(
+  "/me/delivery-slots",
+  auth,
+  requireVerifiedVendor,
+  async (req, res) => {
+    try {
+      const slots = await DeliverySlot.find({
+        vendor: req.currentUser._id,
+        end: { $gt: new Date() },
+      }).sort({ start: 1 });
+
+      res.json(slots);
+    } catch (err) {
+      console.error("Error fetching delivery slots:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Add delivery slots
+router.post(
+  "/me/delivery-slots",
+  auth,
+  requireVerifiedVendor,
+  [
+    body("slots")
+      .isArray({ min: 1 })
+      .withMessage("At least one slot is required"),
+    body("slots.*.start").isISO8601().withMessage("Invalid start date"),
+    body("slots.*.end")
+      .isISO8601()
+      .withMessage("Invalid end date")
+      .custom((end, { path, req }) => {
+        const index = parseInt(path.match(/\d+/)[0]);
+        return new Date(end) > new Date(req.body.slots[index].start);
+      })
+      .withMessage("Slot must end after it starts"),
+    body("slots.*.capacity")
+      .isInt({ min: 1 })
+      .withMessage("Capacity must be at least 1"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const slots = await DeliverySlot.insertMany(
+        req.body.slots.map((slot) => ({
+          vendor: req.currentUser._id,
+          start: new Date(slot.start),
+          end: new Date(slot.end),
+          capacity: parseInt(slot.capacity),
+        }))
+      );
+
+      res.status(201).json(slots);
+    } catch (err) {
+      console.error("Error adding delivery slots:", err);
+
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json({ message: "A slot already starts at that time" });
+      }
+
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Change a delivery slot's capacity or close it to new bookings. Capacity
+// can't drop below the orders already booked.
+router.patch(
+  "/me/delivery-slots/:id",
+  auth,
+  requireVerifiedVendor,
+  [
+    param("id").isMongoId().withMessage("Invalid slot ID"),
+    body("capacity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Capacity must be at least 1"),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean"),
+  ],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const update = {};
+      if (req.body.capacity !== undefined) {
+        update.capacity = parseInt(req.body.capacity);
+      }
+      if (req.body.isActive !== undefined) {
+        update.isActive = req.body.isActive;
+      }
+
+      const slot = await DeliverySlot.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          vendor: req.currentUser._id,
+          ...(update.capacity !== undefined && {
+            booked: { $lte: update.capacity },
+          }),
+        },
+        update,
+        { new: true }
+      );
+
+      if (!slot) {
+        const exists = await DeliverySlot.exists({
+          _id: req.params.id,
+          vendor: req.currentUser._id,
+        });
+        return exists
+          ? res
+              .status(409)
+              .json({ message: "Capacity is below the orders booked" })
+          : res.status(404).json({ message: "Delivery slot not found" });
+      }
+
+      res.json(slot);
+    } catch (err) {
+      console.error("Error updating delivery slot:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete a delivery slot no order has booked
+router.delete(
+  "/me/delivery-slots/:id",
+  auth,
+  requireVerifiedVendor,
+  [param("id").isMongoId().withMessage("Invalid slot ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const slot = await DeliverySlot.findOneAndDelete({
+        _id: req.params.id,
+        vendor: req.currentUser._id,
+        booked: 0,
+      });
+
+      if (!slot) {
+        const exists = await DeliverySlot.exists({
+          _id: req.params.id,
+          vendor: req.currentUser._id,
+        });
+        return exists
+          ? res.status(409).json({
+              message: "Slot has bookings; deactivate it instead",
+            })
+          : res.status(404).json({ message: "Delivery slot not found" });
+      }
+
+      res.json({ message: "Delivery slot removed" });
+    } catch (err) {
+      console.error("Error deleting delivery slot:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get verified vendors' storefronts
+router.get("/", async (req, res) => {
+  try {
+    const { search, limit = 20, page = 1 } = req.query;
+    const filter = { ...PUBLIC_VENDOR_FILTER };
+
+    if (search) {
+      // Match the search text literally
+      const pattern = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter["vendorInfo.businessName"] = { $regex: pattern, $options: "i" };
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const vendors = await User.find(filter)
+      .sort({ "vendorInfo.businessName": 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    // Get total count for pagination
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      vendors: vendors.map((vendor) => vendor.toStorefrontJSON()),
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching vendors:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get a vendor's storefront
+router.get(
+  "/:vendorId",
+  [param("vendorId").isMongoId().withMessage("Invalid vendor ID")],
+  async (req, res) => {
+    try {
+      // Validation check
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const vendor = await User.findOne({
+        _id: req.params.vendorId,
+        ...PUBLIC_VENDOR_FILTER,
+      });
+
+      if (!vendor) {
+        return res.status(404).json({ message: "Vendor not found" });
+      }
+
+      const productCount = await Product.countDocuments({
+        vendor: vendor._id,
+        isArchived: { $ne: true },
+      });
+
+      res.json({ ...vendor.toStorefrontJSON(), productCount });
+    } catch (err) {
+      console.error("Error fetching vendor:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,353 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { roundMoney } from "../utils/money.js";
+
+// Orders that don't count as sales: unpaid or cancelled
+const NON_SALE_STATUSES = ["Pending Payment", "Cancelled"];
+const TOP_PRODUCTS_LIMIT = 10;
+
+// Revenue of an order line
+const lineRevenue = (line) => ({
+  $multiply: [`${line}.price`, `${line}.quantity`],
+});
+
+// Match orders placed in a date range with lines sold by the vendor
+const matchOrders = (vendor, { from, to }) => ({
+  $match: {
+    $or: [{ "items.vendor": vendor }, { "fulfillments.vendor": vendor }],
+    createdAt: { $gte: from, $lt: to },
+  },
+});
+
+// Give each order the status of the vendor's own part of it: their
+// fulfillment's, or the order's for orders placed before orders were split
+// by vendor
+const vendorStatusStages = (vendor) => [
+  { $unwind: { path: "$fulfillments", preserveNullAndEmptyArrays: true } },
+  {
+    $match: {
+      $or: [
+        { "fulfillments.vendor": vendor },
+        { fulfillments: { $exists: false } },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      vendorStatus: { $ifNull: ["$fulfillments.status", "$status"] },
+    },
+  },
+];
+
+// Revenue, units and orders of a vendor's lines per day, week or month
+export const getVendorSalesSeries = async (
+  vendorId,
+  { from, to, interval = "day" }
+) => {
+  const vendor = new mongoose.Types.ObjectId(vendorId);
+
+  return Order.aggregate([
+    matchOrders(vendor, { from, to }),
+    ...vendorStatusStages(vendor),
+    { $match: { vendorStatus: { $nin: NON_SALE_STATUSES } } },
+    { $unwind: "$items" },
+    // Only the vendor's own lines of orders shared with other vendors
+    { $match: { "items.vendor": vendor } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$createdAt",
+            unit: interval,
+            startOfWeek: "monday",
+          },
+        },
+        revenue: { $sum: lineRevenue("$items") },
+        units: { $sum: "$items.quantity" },
+        orders: { $addToSet: "$_id" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        period: "$_id",
+        revenue: { $round: ["$revenue", 2] },
+        units: 1,
+        orders: { $size: "$orders" },
+      },
+    },
+    { $sort: { period: 1 } },
+  ]);
+};
+
+// Sales summary, orders by status, rates and top products of a vendor's
+// lines in a date range
+export const getVendorSummary = async (vendorId, { from, to }) => {
+  const vendor = new mongoose.Types.ObjectId(vendorId);
+
+  const [result] = await Order.aggregate([
+    matchOrders(vendor, { from, to }),
+    ...vendorStatusStages(vendor),
+    {
+      $addFields: {
+        vendorItems: {
+          $filter: {
+            input: "$items",
+            cond: { $eq: ["$$this.vendor", vendor] },
+          },
+        },
+      },
+    },
+    {
+      $facet: {
+        byStatus: [
+          { $group: { _id: "$vendorStatus", count: { $sum: 1 } } },
+          { $project: { _id: 0, status: "$_id", count: 1 } },
+          { $sort: { count: -1 } },
+        ],
+        sales: [
+          { $match: { vendorStatus: { $nin: NON_SALE_STATUSES } } },
+          { $unwind: "$vendorItems" },
+          {
+            $group: {
+              _id: null,
+              revenue: { $sum: lineRevenue("$vendorItems") },
+              units: { $sum: "$vendorItems.quantity" },
+              orders: { $addToSet: "$_id" },
+            },
+          },
+        ],
+        returnedUnits: [
+          { $unwind: "$returns" },
+          { $match: { "returns.status": "Approved" } },
+          { $unwind: "$returns.items" },
+          // Only returns of the vendor's own lines
+          {
+            $match: {
+              $expr: {
+                $in: ["$returns.items.productId", "$vendorItems.productId"],
+              },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              units: { $sum: "$returns.items.quantity" },
+            },
+          },
+        ],
+        topProducts: [
+          { $match: { vendorStatus: { $nin: NON_SALE_STATUSES } } },
+          { $unwind: "$vendorItems" },
+          {
+            $group: {
+              _id: "$vendorItems.productId",
+              name: { $last: "$vendorItems.name" },
+              revenue: { $sum: lineRevenue("$vendorItems") },
+              units: { $sum: "$vendorItems.quantity" },
+            },
+          },
+          { $sort: { revenue: -1 } },
+          { $limit: TOP_PRODUCTS_LIMIT },
+          {
+            $project: {
+              _id: 0,
+              productId: "$_id",
+              name: 1,
+              revenue: { $round: ["$revenue", 2] },
+              units: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const sales = result.sales[0];
+  const revenue = sales ? sales.revenue : 0;
+  const units = sales ? sales.units : 0;
+  const orders = sales ? sales.orders.length : 0;
+  const totalOrders = result.byStatus.reduce(
+    (total, { count }) => total + count,
+    0
+  );
+  const cancelled =
+    result.byStatus.find(({ status }) => status === "Cancelled")?.count || 0;
+  const returnedUnits = result.returnedUnits[0]?.units || 0;
+
+  const rate = (count, total) =>
+    total > 0 ? Math.round((count / total) * 10000) / 10000 : 0;
+
+  return {
+    revenue: roundMoney(revenue),
+    units,
+    orders,
+    averageOrderValue: orders > 0 ? roundMoney(revenue / orders) : 0,
+    cancellationRate: rate(cancelled, totalOrders),
+    returnRate: rate(returnedUnits, units),
+    ordersByStatus: result.byStatus,
+    topProducts: result.topProducts,
+  };
+};
+
+// A vendor's listed products with at most `threshold` units available
+export const getVendorLowStock = (vendorId, threshold) =>
+  Product.find({
+    vendor: vendorId,
+    isArchived: { $ne: true },
+    $expr: {
+      $lte: [{ $subtract: ["$stockQuantity", "$reservedQuantity"] }, threshold],
+    },
+  })
+    .select("name stockQuantity reservedQuantity inStock")
+    .sort({ stockQuantity: 1 });
+
+// Count documents created per day in a date range
+const countPerDay = (Model, { from, to }) =>
+  Model.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: "$createdAt", unit: "day" } },
+        count: { $sum: 1 },
+      },
+    },
+    { $project: { _id: 0, day: "$_id", count: 1 } },
+    { $sort: { day: 1 } },
+  ]);
+
+// Platform-wide gross merchandise value, orders and new users in a range
+export const getPlatformSummary = async ({ from, to }) => {
+  const [[sales], orders, newUsers] = await Promise.all([
+    Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: from, $lt: to },
+          status: { $nin: NON_SALE_STATUSES },
+        },
+      },
+      { $group: { _id: null, gmv: { $sum: "$total" }, orders: { $sum: 1 } } },
+    ]),
+    Order.countDocuments({ createdAt: { $gte: from, $lt: to } }),
+    User.countDocuments({ createdAt: { $gte: from, $lt: to } }),
+  ]);
+
+  const gmv = sales ? sales.gmv : 0;
+  const paidOrders = sales ? sales.orders : 0;
+
+  return {
+    gmv: roundMoney(gmv),
+    orders,
+    paidOrders,
+    averageOrderValue: paidOrders > 0 ? roundMoney(gmv / paidOrders) : 0,
+    newUsers,
+  };
+};
+
+// Orders placed and GMV per day in a date range
+export const getOrdersPerDay = ({ from, to }) =>
+  Order.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: "$createdAt", unit: "day" } },
+        orders: { $sum: 1 },
+        gmv: {
+          $sum: {
+            $cond: [{ $in: ["$status", NON_SALE_STATUSES] }, 0, "$total"],
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        day: "$_id",
+        orders: 1,
+        gmv: { $round: ["$gmv", 2] },
+      },
+    },
+    { $sort: { day: 1 } },
+  ]);
+
+// New users per day in a date range
+export const getNewUsersPerDay = (range) => countPerDay(User, range);
+
+// Listed products and sales per Product.category in a date range
+export const getCategoryBreakdown = async ({ from, to }) => {
+  const [listed, sold] = await Promise.all([
+    Product.aggregate([
+      { $match: { isArchived: { $ne: true } } },
+      { $group: { _id: "$category", products: { $sum: 1 } } },
+    ]),
+    Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: from, $lt: to },
+          status: { $nin: NON_SALE_STATUSES },
+        },
+      },
+      { $unwind: "$items" },
+      // Order lines keep the product id as a string
+      {
+        $lookup: {
+          from: Product.collection.name,
+          let: {
+            productId: {
+              $convert: {
+                input: "$items.productId",
+                to: "objectId",
+                onError: null,
+                onNull: null,
+              },
+            },
+          },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$productId"] } } },
+            { $project: { category: 1 } },
+          ],
+          as: "product",
+        },
+      },
+      {
+        $group: {
+          _id: {
+            $ifNull: [{ $arrayElemAt: ["$product.category", 0] }, "Unknown"],
+          },
+          revenue: { $sum: lineRevenue("$items") },
+          units: { $sum: "$items.quantity" },
+          orders: { $addToSet: "$_id" },
+        },
+      },
+    ]),
+  ]);
+
+  const categories = new Map();
+  const categoryFor = (name) => {
+    if (!categories.has(name)) {
+      categories.set(name, {
+        category: name,
+        products: 0,
+        revenue: 0,
+        units: 0,
+        orders: 0,
+      });
+    }
+    return categories.get(name);
+  };
+
+  listed.forEach(({ _id, products }) => {
+    categoryFor(_id).products = products;
+  });
+  sold.forEach(({ _id, revenue, units, orders }) => {
+    Object.assign(categoryFor(_id), {
+      revenue: roundMoney(revenue),
+      units,
+      orders: orders.length,
+    });
+  });
+
+  return [...categories.values()].sort((a, b) => b.revenue - a.revenue);
+};
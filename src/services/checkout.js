@@ -0,0 +1,231 @@
+import mongoose from "mongoose";
+import Coupon from "../models/Coupon.js";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import Reservation from "../models/Reservation.js";
+import { bookDeliverySlots } from "./deliverySlots.js";
+import { getCartHolds } from "./reservations.js";
+
+// Build the error thrown when cart lines can't be covered by current stock
+const insufficientStockError = (items) => {
+  const err = new Error("Insufficient stock");
+  err.items = items;
+  return err;
+};
+
+// Describe how far an order line is from being covered by the product's
+// stock, counting the units the shopper's cart holds for it. Archived and
+// out-of-stock products have none.
+const stockReport = (line, product, held = 0) => ({
+  productId: line.productId,
+  name: line.name,
+  requested: line.quantity,
+  available:
+    product && product.inStock && !product.isArchived
+      ? product.stockQuantity - product.reservedQuantity + held
+      : 0,
+});
+
+// Take order lines ({ productId, name, quantity }) out of stock within a
+// transaction, using up the units a cart holds for them (holds maps product
+// IDs to quantities). Every line is checked first so the client gets a full
+// report, and the updates guard against concurrent orders. Returns the
+// products by ID.
+export const takeStock = async (lines, session, holds = new Map()) => {
+  const products = await Product.find({
+    _id: { $in: lines.map((line) => line.productId) },
+  }).session(session);
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+  const heldFor = (line) => holds.get(line.productId) || 0;
+
+  const shortages = lines
+    .map((line) =>
+      stockReport(line, productsById.get(line.productId), heldFor(line))
+    )
+    .filter((report) => report.available < report.requested);
+
+  if (shortages.length > 0) {
+    throw insufficientStockError(shortages);
+  }
+
+  for (const line of lines) {
+    const held = heldFor(line);
+    const { modifiedCount } = await Product.updateOne(
+      {
+        _id: line.productId,
+        inStock: true,
+        isArchived: { $ne: true },
+        $expr: {
+          $gte: [
+            {
+              $subtract: [
+                { $add: ["$stockQuantity", held] },
+                "$reservedQuantity",
+              ],
+            },
+            line.quantity,
+          ],
+        },
+      },
+      [
+        {
+          $set: {
+            stockQuantity: { $subtract: ["$stockQuantity", line.quantity] },
+            reservedQuantity: {
+              $max: [0, { $subtract: ["$reservedQuantity", held] }],
+            },
+          },
+        },
+        { $set: { inStock: { $gt: ["$stockQuantity", 0] } } },
+      ],
+      { session }
+    );
+
+    if (modifiedCount === 0) {
+      const current = await Product.findById(line.productId).session(session);
+      throw insufficientStockError([stockReport(line, current, held)]);
+    }
+  }
+
+  return productsById;
+};
+
+// Resolve the shipping and billing addresses of an order request, either of
+// which may reference one of the user's saved addresses by ID
+export const resolveAddresses = (user, body) => {
+  const resolve = (address, addressId) => {
+    if (!addressId) return address;
+
+    const snapshot = user.getAddressSnapshot(addressId);
+    if (!snapshot) {
+      throw new Error("Address not found");
+    }
+
+    return snapshot;
+  };
+
+  return {
+    shippingAddress: resolve(body.shippingAddress, body.shippingAddressId),
+    billingAddress: resolve(body.billingAddress, body.billingAddressId),
+  };
+};
+
+// Record the redemption of an order's coupon within the order's transaction
+export const redeemCoupon = async (order, session) => {
+  const coupon = await Coupon.findByCode(order.couponCode).session(session);
+  const redeemed =
+    coupon &&
+    (await Coupon.redeem(
+      coupon._id,
+      {
+        userId: order.userId,
+        orderId: order._id,
+        discount: order.couponDiscount,
+      },
+      session
+    ));
+
+  if (!redeemed) {
+    throw new Error("Coupon is no longer available");
+  }
+};
+
+// Give back the coupon of an order cancelled before it was paid
+export const releaseCoupon = async (order) => {
+  if (order.couponCode && order.paymentStatus !== "Completed") {
+    await Coupon.release(order._id);
+  }
+};
+
+// Turn a cart into a persisted order, decrementing product stock, booking
+// the chosen delivery slots and clearing the cart in a single transaction.
+// Nothing is written if any line is short on stock or any slot is full.
+export const checkoutCart = async (cart, details) => {
+  let order;
+
+  // Refresh totals so the coupon discount reflects the current items, and
+  // shipping and tax the shipping address
+  cart.shippingAddress = details.shippingAddress;
+  await cart.calculateTotals();
+
+  if (!cart.shippingOption) {
+    throw new Error("Shipping option not available");
+  }
+
+  await mongoose.connection.transaction(async (session) => {
+    // Decrement stock and convert the cart's holds
+    const holds = await getCartHolds(cart._id, session);
+    const productsById = await takeStock(
+      cart.items.map((item) => ({
+        productId: item.product.toString(),
+        name: item.name,
+        quantity: item.quantity,
+      })),
+      session,
+      holds
+    );
+
+    // Release holds for products no longer in the cart, then drop them all
+    for (const [productId, quantity] of holds) {
+      if (!cart.findItem(productId)) {
+        await Product.updateOne(
+          { _id: productId },
+          { $inc: { reservedQuantity: -quantity } },
+          { session }
+        );
+      }
+    }
+    await Reservation.deleteMany({ cart: cart._id }, { session });
+
+    // Book the chosen delivery windows; the latest one sets the ETA
+    const deliverySlots = await bookDeliverySlots(
+      details.deliverySlotIds || [],
+      cart.items.map((item) => item.product),
+      session
+    );
+    const estimatedDeliveryDate = deliverySlots.length
+      ? new Date(Math.max(...deliverySlots.map((booking) => booking.end)))
+      : undefined;
+
+    order = new Order({
+      userId: cart.user,
+      items: cart.items.map((item) => ({
+        productId: item.product.toString(),
+        name: item.name,
+        description: productsById.get(item.product.toString()).description,
+        quantity: item.quantity,
+        price: item.discountedPrice,
+        image: item.image,
+        vendor: productsById.get(item.product.toString()).vendor,
+      })),
+      shippingAddress: details.shippingAddress,
+      billingAddress: details.billingAddress || details.shippingAddress,
+      paymentMethod: details.paymentMethod,
+      subtotal: cart.subtotal,
+      shippingCost: cart.shippingCost,
+      shippingOption: cart.shippingOption,
+      deliverySlots,
+      estimatedDeliveryDate,
+      tax: cart.tax,
+      taxInclusive: cart.taxInclusive,
+      taxBreakdown: cart.taxBreakdown,
+      // Only orders the coupon takes something off redeem it
+      couponCode: cart.couponDiscount > 0 ? cart.couponCode : undefined,
+      couponDiscount: cart.couponDiscount,
+      total: cart.total,
+      notes: details.notes,
+    });
+    await order.save({ session });
+
+    if (order.couponCode) {
+      await redeemCoupon(order, session);
+    }
+
+    await cart.clearCart();
+    await cart.save({ session });
+  });
+
+  return order;
+};
@@ -0,0 +1,104 @@
+import DeliverySlot from "../models/DeliverySlot.js";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+
+// Categories delivered in a booked time slot
+export const SLOT_CATEGORIES = ["Food", "Groceries"];
+
+const SLOT_DAYS_AHEAD = 7; // How far ahead customers may book
+
+// Get the vendors selling the products in a slot category
+export const getSlotVendors = async (productIds, session) => {
+  const vendors = await Product.find({
+    _id: { $in: productIds },
+    category: { $in: SLOT_CATEGORIES },
+    vendor: { $ne: null },
+  })
+    .session(session)
+    .distinct("vendor");
+
+  return vendors.map((vendor) => vendor.toString());
+};
+
+// Get the bookable slots of each vendor of the products, for the coming days
+export const getAvailableSlots = async (productIds) => {
+  const vendorIds = await getSlotVendors(productIds);
+  const from = new Date();
+  const to = new Date(from.getTime() + SLOT_DAYS_AHEAD * 24 * 60 * 60 * 1000);
+  const slots = vendorIds.length
+    ? await DeliverySlot.findAvailable(vendorIds, { from, to })
+    : [];
+
+  return vendorIds.map((vendor) => ({
+    vendor,
+    slots: slots.filter((slot) => slot.vendor.toString() === vendor),
+  }));
+};
+
+// Book the chosen slots for the products of an order within its
+// transaction: at most one slot per vendor selling a slot category. Resolves
+// to the bookings to store on the order.
+export const bookDeliverySlots = async (slotIds, productIds, session) => {
+  if (slotIds.length === 0) return [];
+
+  const vendorIds = await getSlotVendors(productIds, session);
+  const slots = await DeliverySlot.find({ _id: { $in: slotIds } }).session(
+    session
+  );
+  const vendorsOfSlots = slots.map((slot) => slot.vendor.toString());
+
+  if (
+    slots.length !== new Set(slotIds.map(String)).size ||
+    vendorsOfSlots.some((vendor) => !vendorIds.includes(vendor)) ||
+    new Set(vendorsOfSlots).size !== vendorsOfSlots.length
+  ) {
+    throw new Error("Invalid delivery slot");
+  }
+
+  const bookings = [];
+  for (const slot of slots) {
+    const booked = await DeliverySlot.book(slot._id, session);
+
+    if (!booked) {
+      const err = new Error("Delivery slot is no longer available");
+      err.slotId = slot._id;
+      throw err;
+    }
+
+    bookings.push({
+      slot: booked._id,
+      vendor: booked.vendor,
+      start: booked.start,
+      end: booked.end,
+    });
+  }
+
+  return bookings;
+};
+
+// Give back the delivery slots an order booked, only those of one vendor
+// when given. Each booking is released at most once.
+export const releaseDeliverySlots = async (order, vendorId = null) => {
+  const bookings = order.deliverySlots.filter(
+    (booking) =>
+      !booking.releasedAt &&
+      (!vendorId || booking.vendor.toString() === vendorId.toString())
+  );
+
+  for (const booking of bookings) {
+    // Claim the release first so concurrent calls can't both give it back
+    const { modifiedCount } = await Order.updateOne(
+      {
+        _id: order._id,
+        deliverySlots: {
+          $elemMatch: { slot: booking.slot, releasedAt: null },
+        },
+      },
+      { $set: { "deliverySlots.$.releasedAt": new Date() } }
+    );
+
+    if (modifiedCount > 0) {
+      await DeliverySlot.release(booking.slot);
+    }
+  }
+};
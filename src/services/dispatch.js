@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+import Driver from "../models/Driver.js";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+
+const OFFER_TIMEOUT_MS =
+  (parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 60) * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000; // 15 seconds
+const CANDIDATE_LIMIT = 5;
+
+// Statuses in which an order can be offered to drivers
+export const DISPATCHABLE_STATUSES = ["Preparing", "Ready for Pickup"];
+
+// Find where an order is collected: the location of the vendor selling its
+// first item that has one
+const resolvePickupLocation = async (order) => {
+  const productIds = order.items
+    .map((item) => item.productId)
+    .filter((productId) => mongoose.isValidObjectId(productId));
+  const products = await Product.find({ _id: { $in: productIds } }).select(
+    "vendor"
+  );
+
+  const vendor = await User.findOne({
+    _id: { $in: products.map((product) => product.vendor) },
+    "vendorInfo.location.coordinates": { $exists: true },
+  }).select("vendorInfo.location");
+
+  return vendor ? vendor.vendorInfo.location : undefined;
+};
+
+// Offer an unassigned order to the nearest available driver who hasn't
+// declined it. Returns the driver profile, or null if nobody is available.
+export const offerOrder = async (order) => {
+  if (order.driver || !DISPATCHABLE_STATUSES.includes(order.status)) {
+    return null;
+  }
+
+  if (!order.pickupLocation?.coordinates?.length) {
+    order.pickupLocation = await resolvePickupLocation(order);
+  }
+
+  const filter = {
+    availability: "available",
+    pendingOffer: null,
+    user: { $nin: order.dispatch.declinedDrivers },
+  };
+  if (order.pickupLocation?.coordinates?.length) {
+    filter.location = {
+      $near: {
+        $geometry: {
+          type: "Point",
+          coordinates: order.pickupLocation.coordinates,
+        },
+      },
+    };
+  }
+
+  const candidates = await Driver.find(filter).limit(CANDIDATE_LIMIT);
+
+  // Claim the first candidate that is still free
+  for (const candidate of candidates) {
+    const driver = await Driver.findOneAndUpdate(
+      { _id: candidate._id, availability: "available", pendingOffer: null },
+      { pendingOffer: order._id },
+      { new: true }
+    );
+
+    if (driver) {
+      order.dispatch.offeredTo = driver.user;
+      order.dispatch.offerExpiresAt = new Date(Date.now() + OFFER_TIMEOUT_MS);
+      await order.save();
+      return driver;
+    }
+  }
+
+  order.dispatch.offeredTo = undefined;
+  order.dispatch.offerExpiresAt = undefined;
+  await order.save();
+  return null;
+};
+
+// Withdraw the current offer of an order, optionally recording that the
+// driver declined it, and offer it to the next driver
+export const reofferOrder = async (order, { declined = true } = {}) => {
+  const driverUserId = order.dispatch.offeredTo;
+
+  if (driverUserId) {
+    await Driver.updateOne(
+      { user: driverUserId, pendingOffer: order._id },
+      { pendingOffer: null }
+    );
+
+    if (declined) {
+      order.dispatch.declinedDrivers.addToSet(driverUserId);
+    }
+  }
+
+  order.dispatch.offeredTo = undefined;
+  order.dispatch.offerExpiresAt = undefined;
+
+  return offerOrder(order);
+};
+
+// Assign an order to a driver. Only the driver it is offered to, or any
+// driver if it isn't offered to anyone, may accept it.
+export const acceptOrder = async (orderId, driver) => {
+  if (driver.availability !== "available") {
+    throw new Error("Driver is not available");
+  }
+
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      driver: null,
+      status: { $in: DISPATCHABLE_STATUSES },
+      $or: [
+        { "dispatch.offeredTo": driver.user },
+        { "dispatch.offeredTo": null },
+      ],
+    },
+    {
+      driver: driver.user,
+      "dispatch.assignedAt": new Date(),
+      $unset: { "dispatch.offeredTo": 1, "dispatch.offerExpiresAt": 1 },
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    throw new Error("Order is not available");
+  }
+
+  driver.availability = "busy";
+  driver.currentOrder = order._id;
+  driver.pendingOffer = null;
+  await driver.save();
+
+  return order;
+};
+
+// Free the driver offered or assigned an order, e.g. when it is cancelled
+export const releaseOrderDriver = async (order) => {
+  if (order.dispatch.offeredTo) {
+    await Driver.updateOne(
+      { user: order.dispatch.offeredTo, pendingOffer: order._id },
+      { pendingOffer: null }
+    );
+  }
+
+  if (order.driver) {
+    await Driver.updateOne(
+      { user: order.driver, currentOrder: order._id },
+      { availability: "available", currentOrder: null }
+    );
+  }
+};
+
+// Re-offer orders whose offers timed out, and offer orders nobody holds
+export const sweepOffers = async () => {
+  const expired = await Order.find({
+    driver: null,
+    "dispatch.offerExpiresAt": { $lte: new Date() },
+  });
+  for (const order of expired) {
+    await reofferOrder(order);
+  }
+
+  const unoffered = await Order.find({
+    driver: null,
+    status: { $in: DISPATCHABLE_STATUSES },
+    "dispatch.offeredTo": null,
+  });
+  for (const order of unoffered) {
+    await offerOrder(order);
+  }
+};
+
+// Periodically time out and re-offer orders in the background
+export const startDispatchSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    sweepOffers().catch((err) => {
+      console.error("Error sweeping dispatch offers:", err);
+    });
+  }, intervalMs);
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,52 @@
+import { EventEmitter } from "events";
+
+// In-process event bus for order updates. Routes publish to it; live order
+// streams and other services subscribe.
+const bus = new EventEmitter();
+
+// Every open order stream adds a listener
+bus.setMaxListeners(0);
+
+const ALL_ORDERS = "order";
+const orderChannel = (orderId) => `order:${orderId}`;
+
+// Publish an event about an order, e.g. "status", "tracking" or
+// "driver-location"
+export const publishOrderEvent = (orderId, type, data = {}) => {
+  const event = {
+    type,
+    orderId: orderId.toString(),
+    data,
+    at: new Date(),
+  };
+
+  bus.emit(orderChannel(event.orderId), event);
+  bus.emit(ALL_ORDERS, event);
+};
+
+// Publish the latest status change of an order
+export const publishStatusChange = (order) => {
+  const entry = order.statusHistory[order.statusHistory.length - 1];
+
+  publishOrderEvent(order._id, "status", {
+    status: order.status,
+    from: entry?.from,
+    reason: entry?.reason,
+    actorRole: entry?.actorRole,
+  });
+};
+
+// Listen to the events of one order. Returns a function that unsubscribes.
+export const subscribeToOrder = (orderId, listener) => {
+  const channel = orderChannel(orderId.toString());
+  bus.on(channel, listener);
+
+  return () => bus.off(channel, listener);
+};
+
+// Listen to the events of every order. Returns a function that unsubscribes.
+export const subscribeToOrders = (listener) => {
+  bus.on(ALL_ORDERS, listener);
+
+  return () => bus.off(ALL_ORDERS, listener);
+};
@@ -0,0 +1,106 @@
+import { once } from "events";
+
+// Columns of the CSV exports: a header and how to read it from a document's
+// JSON. NDJSON exports contain the whole JSON.
+export const EXPORT_COLUMNS = {
+  orders: [
+    ["id", (order) => order.id],
+    ["createdAt", (order) => order.createdAt],
+    ["userId", (order) => order.userId],
+    ["status", (order) => order.status],
+    ["paymentMethod", (order) => order.paymentMethod],
+    ["paymentStatus", (order) => order.paymentStatus],
+    ["itemCount", (order) => order.items.length],
+    ["subtotal", (order) => order.subtotal],
+    ["shippingCost", (order) => order.shippingCost],
+    ["tax", (order) => order.tax],
+    ["couponCode", (order) => order.couponCode],
+    ["couponDiscount", (order) => order.couponDiscount],
+    ["total", (order) => order.total],
+    ["trackingNumber", (order) => order.trackingNumber],
+  ],
+  users: [
+    ["id", (user) => user.id],
+    ["name", (user) => user.name],
+    ["email", (user) => user.email],
+    ["role", (user) => user.role],
+    ["emailVerified", (user) => user.emailVerified],
+    ["phoneNumber", (user) => user.phoneNumber],
+    ["businessName", (user) => user.vendorInfo?.businessName],
+    ["vendorVerified", (user) => user.vendorInfo?.isVerified],
+    ["createdAt", (user) => user.createdAt],
+  ],
+  products: [
+    ["id", (product) => product.id],
+    ["name", (product) => product.name],
+    ["category", (product) => product.category],
+    ["vendor", (product) => product.vendor],
+    ["price", (product) => product.price],
+    ["discountPercentage", (product) => product.discountPercentage],
+    ["stockQuantity", (product) => product.stockQuantity],
+    ["reservedQuantity", (product) => product.reservedQuantity],
+    ["inStock", (product) => product.inStock],
+    ["isArchived", (product) => product.isArchived],
+    ["rating", (product) => product.rating],
+    ["numReviews", (product) => product.numReviews],
+    ["createdAt", (product) => product.createdAt],
+  ],
+};
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson",
+};
+
+// Format a value as a CSV field. Text starting like a formula is prefixed
+// so spreadsheets don't evaluate it.
+const csvField = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvField).join(",") + "\r\n";
+
+// Stream the documents of a query cursor to the response as CSV or NDJSON,
+// one document at a time and waiting for the client to keep up
+export const streamExport = async (res, cursor, { name, format }) => {
+  const columns = EXPORT_COLUMNS[name];
+
+  res.set({
+    "Content-Type": CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${name}-${Date.now()}.${format}"`,
+  });
+
+  // Resolve false once the client has gone away
+  const write = async (chunk) => {
+    if (res.write(chunk)) return true;
+    await Promise.race([once(res, "drain"), once(res, "close")]);
+    return !res.destroyed;
+  };
+
+  try {
+    if (format === "csv") {
+      await write(csvRow(columns.map(([header]) => header)));
+    }
+
+    for await (const doc of cursor) {
+      const json = doc.toJSON();
+      const line =
+        format === "csv"
+          ? csvRow(columns.map(([, read]) => read(json)))
+          : JSON.stringify(json) + "\n";
+
+      if (!(await write(line))) break;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+};
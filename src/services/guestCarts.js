@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import Cart from "../models/Cart.js";
+import Product from "../models/Product.js";
+import { getCartHolds, holdStock, releaseCart } from "./reservations.js";
+
+// Request and response header carrying a guest's cart token
+export const GUEST_CART_HEADER = "X-Cart-Token";
+
+// Merge the guest cart of a token into a user's cart, summing the quantities
+// of shared lines as far as stock allows. The guest cart is deleted and
+// its stock holds move to the user's cart. Resolves to a report of the
+// merged lines and of those capped or dropped for lack of stock, or null
+// if there was no guest cart to merge.
+export const mergeGuestCart = async (token, userId) => {
+  const guestCart = await Cart.findByGuestToken(token);
+  if (!guestCart) return null;
+
+  // Make sure the user's cart exists before joining it in the transaction
+  await Cart.findOrCreateByUser(userId);
+
+  let report = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    report = { merged: [], capped: [], dropped: [] };
+
+    // Claim the guest cart so it is merged at most once
+    const claimed = await Cart.findOneAndDelete(
+      { _id: guestCart._id },
+      { session }
+    );
+    if (!claimed) {
+      report = null;
+      return;
+    }
+    await releaseCart(claimed._id, session);
+
+    const cart = await Cart.findOne({ user: userId }).session(session);
+    const holds = await getCartHolds(cart._id, session);
+
+    for (const guestItem of claimed.items) {
+      const product = await Product.findById(guestItem.product).session(
+        session
+      );
+      const existing = cart.findItem(guestItem.product);
+      const requested = (existing ? existing.quantity : 0) + guestItem.quantity;
+
+      // Units the user's cart may hold: what's free plus what it holds
+      const available =
+        product && product.inStock && !product.isArchived
+          ? product.availableQuantity +
+            (holds.get(guestItem.product.toString()) || 0)
+          : 0;
+      const quantity = Math.min(requested, available);
+
+      const line = {
+        productId: guestItem.product.toString(),
+        name: guestItem.name,
+        requested,
+        quantity,
+      };
+      if (quantity === 0) {
+        report.dropped.push(line);
+      } else if (quantity < requested) {
+        report.capped.push(line);
+      } else {
+        report.merged.push(line);
+      }
+
+      const reservedUntil = await holdStock(
+        cart._id,
+        guestItem.product,
+        quantity,
+        session
+      );
+
+      if (quantity === 0) {
+        if (existing) cart.items.pull(existing._id);
+      } else if (existing) {
+        existing.quantity = quantity;
+        existing.reservedUntil = reservedUntil;
+      } else {
+        cart.items.push({
+          product: product._id,
+          name: product.name,
+          price: product.price,
+          discountedPrice: product.discountedPrice || product.price,
+          quantity,
+          image: product.image,
+          reservedUntil,
+        });
+      }
+    }
+
+    // Keep the guest's shipping speed unless the user already chose one
+    if (!cart.shippingOption && claimed.shippingOption) {
+      cart.shippingOption = claimed.shippingOption;
+    }
+
+    await cart.calculateTotals();
+    await cart.save({ session });
+  });
+
+  return report;
+};
@@ -0,0 +1,69 @@
+import fs from "fs/promises";
+
+// Built-in transports. A transport is any object with an async send(message).
+const transports = {
+  // Log messages to the console (local development)
+  console: ({ label = "mail" } = {}) => ({
+    send: async (message) => {
+      console.log(
+        `[${label}] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+      );
+    },
+  }),
+
+  // Append messages as JSON lines to a file
+  file: ({ path = process.env.MAIL_FILE || "mail.log" } = {}) => ({
+    send: async (message) => {
+      await fs.appendFile(
+        path,
+        JSON.stringify({ ...message, sentAt: new Date() }) + "\n"
+      );
+    },
+  }),
+
+  // Keep messages in memory (tests)
+  memory: () => {
+    const outbox = [];
+    return {
+      outbox,
+      send: async (message) => {
+        outbox.push(message);
+      },
+    };
+  },
+};
+
+let transport = null;
+
+// Create one of the built-in transports by name
+export const createTransport = (name, options) => {
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transports[name](options);
+};
+
+// Replace the transport used to deliver mail
+export const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Get the active transport, defaulting to MAIL_TRANSPORT (or console)
+export const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(process.env.MAIL_TRANSPORT || "console");
+  }
+
+  return transport;
+};
+
+// Send an email through the active transport
+export const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@deliverfactory.local",
+    to,
+    subject,
+    text,
+  });
+};
@@ -0,0 +1,188 @@
+import Notification, { NOTIFICATION_CHANNELS } from "../models/Notification.js";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import { subscribeToOrders } from "./events.js";
+import { createTransport, sendMail } from "./mailer.js";
+
+const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+// Message templates. Each returns the title and body of a notification and
+// the data stored with it in the inbox.
+const TEMPLATES = {
+  "order-placed": ({ order }) => ({
+    title: "Order placed",
+    body: `Thanks for your order #${order._id}. Total: ${formatMoney(
+      order.total
+    )}.`,
+    data: { orderId: order._id },
+  }),
+  "order-status": ({ order }) => ({
+    title: `Order ${order.status.toLowerCase()}`,
+    body: `Your order #${order._id} is now ${order.status}.`,
+    data: { orderId: order._id, status: order.status },
+  }),
+  // A shipment may cover only one vendor's part of the order
+  "order-shipped": ({
+    order,
+    trackingNumber = order.trackingNumber,
+    estimatedDeliveryDate = order.estimatedDeliveryDate,
+  }) => ({
+    title: "Order shipped",
+    body:
+      `Your order #${order._id} is on its way. ` +
+      `Tracking number: ${trackingNumber}.` +
+      (estimatedDeliveryDate
+        ? ` Estimated delivery: ${estimatedDeliveryDate.toDateString()}.`
+        : ""),
+    data: { orderId: order._id, trackingNumber },
+  }),
+  "order-delivered": ({ order }) => ({
+    title: "Order delivered",
+    body: `Your order #${order._id} has been delivered. Enjoy!`,
+    data: { orderId: order._id },
+  }),
+  "password-reset": ({ resetUrl }) => ({
+    title: "Reset your password",
+    body:
+      "Use this link to reset your password (expires in 1 hour):\n\n" +
+      resetUrl,
+    data: {},
+  }),
+  "vendor-application": ({ application }) => ({
+    title: `Vendor application ${application.status.toLowerCase()}`,
+    body:
+      `Your application for ${application.businessName} was ` +
+      `${application.status.toLowerCase()}.` +
+      (application.reviewNotes ? ` Notes: ${application.reviewNotes}` : ""),
+    data: { applicationId: application._id, status: application.status },
+  }),
+  "driver-application": ({ driver }) => ({
+    title: `Driver application ${driver.status.toLowerCase()}`,
+    body:
+      `Your application to deliver orders was ${driver.status.toLowerCase()}.` +
+      (driver.reviewNotes ? ` Notes: ${driver.reviewNotes}` : ""),
+    data: { driverId: driver._id, status: driver.status },
+  }),
+};
+
+// Messages carrying secrets, like reset links. They are always emailed, as
+// the user asked for them, and never stored in the inbox.
+const SECRET_TYPES = new Set(["password-reset"]);
+
+const channelTransports = {};
+
+// Replace the transport of the push or sms channel. Email goes through the
+// mailer's transport.
+export const setChannelTransport = (channel, transport) => {
+  channelTransports[channel] = transport;
+};
+
+// Get the transport of a channel, defaulting to PUSH_TRANSPORT or
+// SMS_TRANSPORT (or console)
+export const getChannelTransport = (channel) => {
+  if (!channelTransports[channel]) {
+    channelTransports[channel] = createTransport(
+      process.env[`${channel.toUpperCase()}_TRANSPORT`] || "console",
+      {
+        label: channel,
+        path: process.env.NOTIFICATIONS_FILE || "notifications.log",
+      }
+    );
+  }
+
+  return channelTransports[channel];
+};
+
+// Deliver a message through a channel. Returns false if the user can't be
+// reached on it.
+const deliver = {
+  email: (user, message) =>
+    sendMail({ to: user.email, subject: message.title, text: message.body }),
+  push: (user, message) =>
+    getChannelTransport("push").send({
+      to: user._id.toString(),
+      subject: message.title,
+      text: message.body,
+    }),
+  sms: async (user, message) => {
+    if (!user.phoneNumber) return false;
+
+    await getChannelTransport("sms").send({
+      to: user.phoneNumber,
+      subject: message.title,
+      text: message.body,
+    });
+  },
+};
+
+// Send a templated notification to a user through the channels they enabled
+// and add it to their inbox. Returns the inbox notification, if any.
+export const notify = async (userOrId, type, context = {}) => {
+  const user =
+    userOrId instanceof User ? userOrId : await User.findById(userOrId);
+  if (!user) return null;
+
+  const message = TEMPLATES[type](context);
+  const preferences = user.notificationPreferences || {};
+  const channels = NOTIFICATION_CHANNELS.filter(
+    (channel) =>
+      preferences[channel] || (channel === "email" && SECRET_TYPES.has(type))
+  );
+
+  // A failing channel shouldn't keep the others from being tried
+  const delivered = [];
+  for (const channel of channels) {
+    try {
+      if ((await deliver[channel](user, message)) !== false) {
+        delivered.push(channel);
+      }
+    } catch (err) {
+      console.error(`Error sending ${channel} notification:`, err);
+    }
+  }
+
+  if (SECRET_TYPES.has(type)) return null;
+
+  return Notification.create({
+    user: user._id,
+    type,
+    title: message.title,
+    body: message.body,
+    data: message.data,
+    channels: delivered,
+  });
+};
+
+// Pick the template for an order event, if the customer should hear of it
+const orderTemplateFor = (event) => {
+  switch (event.type) {
+    case "placed":
+      return "order-placed";
+    case "tracking":
+      return "order-shipped";
+    case "status":
+      return event.data.status === "Delivered"
+        ? "order-delivered"
+        : "order-status";
+    default:
+      return null;
+  }
+};
+
+const handleOrderEvent = async (event) => {
+  const type = orderTemplateFor(event);
+  if (!type) return;
+
+  const order = await Order.findById(event.orderId);
+  if (!order) return;
+
+  await notify(order.userId, type, { ...event.data, order });
+};
+
+// Notify customers of their order events in the background
+export const startOrderNotifications = () =>
+  subscribeToOrders((event) => {
+    handleOrderEvent(event).catch((err) => {
+      console.error("Error sending order notification:", err);
+    });
+  });
@@ -0,0 +1,379 @@
+import Order from "../models/Order.js";
+import Payment from "../models/Payment.js";
+import { roundMoney } from "../utils/money.js";
+import { generateToken, verifySignature } from "../utils/security.js";
+import { publishStatusChange } from "./events.js";
+
+// Built-in providers. A provider is any object with async authorize,
+// capture, refund and void methods; providers that send webhooks also
+// implement verifyWebhook(rawBody, headers) and parseWebhook(body).
+//
+// Each method resolves to { status } where status is "succeeded" (or
+// "authorized" for authorize), "pending" when the outcome arrives later by
+// webhook, or "failed" with a reason.
+const providers = {
+  // Simulated card processor for local development and tests. The token
+  // "tok_fail" is declined and "tok_pending" is settled by webhook.
+  fake: () => ({
+    name: "fake",
+    authorize: async ({ token }) => {
+      if (token === "tok_fail") {
+        return { status: "failed", reason: "Card declined" };
+      }
+
+      return {
+        status: token === "tok_pending" ? "pending" : "authorized",
+        providerPaymentId: `fake_${generateToken(12)}`,
+      };
+    },
+    capture: async () => ({ status: "succeeded" }),
+    refund: async () => ({
+      status: "succeeded",
+      providerRefundId: `fake_re_${generateToken(12)}`,
+    }),
+    void: async () => ({ status: "succeeded" }),
+    // Events are signed with an HMAC-SHA256 of the raw body
+    verifyWebhook: (rawBody, headers) =>
+      verifySignature(
+        rawBody,
+        headers["x-signature"],
+        process.env.PAYMENT_WEBHOOK_SECRET
+      ),
+    parseWebhook: (body) => ({
+      id: body.id,
+      type: body.type,
+      providerPaymentId: body.data?.providerPaymentId,
+      reason: body.data?.reason,
+    }),
+  }),
+
+  // Cash handed to the driver. Collecting it is the capture.
+  cash: () => ({
+    name: "cash",
+    authorize: async () => ({
+      status: "authorized",
+      providerPaymentId: `cash_${generateToken(12)}`,
+    }),
+    capture: async () => ({ status: "succeeded" }),
+    refund: async () => ({ status: "succeeded" }),
+    void: async () => ({ status: "succeeded" }),
+  }),
+};
+
+const instances = {};
+
+// Create one of the built-in providers by name
+export const createProvider = (name) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return providers[name]();
+};
+
+// Replace the provider used under a name
+export const setProvider = (name, provider) => {
+  instances[name] = provider;
+};
+
+// Get a provider by name, defaulting to PAYMENT_PROVIDER (or fake)
+export const getProvider = (name = process.env.PAYMENT_PROVIDER || "fake") => {
+  if (!instances[name]) {
+    instances[name] = createProvider(name);
+  }
+
+  return instances[name];
+};
+
+// Mark a payment completed and its order paid, confirming orders awaiting
+// payment. Does nothing if the payment was already settled.
+const completePayment = async (payment, order) => {
+  const completed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["Pending", "Authorized"] } },
+    { status: "Completed", capturedAt: new Date() },
+    { new: true }
+  );
+  if (!completed) {
+    return Payment.findById(payment._id);
+  }
+
+  order = order || (await Order.findById(completed.order));
+  if (!order) return completed;
+
+  order.paymentStatus = "Completed";
+  const awaitingPayment = order.status === "Pending Payment";
+  if (awaitingPayment) {
+    order.transitionTo("Confirmed", {
+      actorRole: "system",
+      reason: "Payment received",
+    });
+  }
+  await order.save();
+
+  if (awaitingPayment) {
+    publishStatusChange(order);
+  } else if (order.status === "Cancelled") {
+    // The order was cancelled while the payment was processing
+    return refundPayment(completed, { reason: "Order cancelled" });
+  }
+
+  return completed;
+};
+
+// Mark a payment failed. The order stays unpaid so the customer can retry.
+const failPayment = async (payment, reason) => {
+  const failed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["Pending", "Authorized"] } },
+    { status: "Failed", failureReason: reason },
+    { new: true }
+  );
+  if (!failed) {
+    return Payment.findById(payment._id);
+  }
+
+  await Order.updateOne(
+    { _id: failed.order, paymentStatus: { $ne: "Completed" } },
+    { paymentStatus: "Failed" }
+  );
+
+  return failed;
+};
+
+// Pay for an order awaiting payment: authorize and capture it with the
+// configured provider. Returns the payment, which may still be pending if
+// the provider settles it by webhook.
+export const payOrder = async (order, { token } = {}) => {
+  if (order.paymentMethod === "Cash On Delivery") {
+    throw new Error("Cash on delivery orders are paid on delivery");
+  }
+
+  if (order.status !== "Pending Payment") {
+    throw new Error("Order is not awaiting payment");
+  }
+
+  const provider = getProvider();
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      order: order._id,
+      user: order.userId,
+      provider: provider.name,
+      method: order.paymentMethod,
+      amount: order.total,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new Error("Order already has a payment in progress");
+    }
+    throw err;
+  }
+
+  try {
+    const authorization = await provider.authorize({
+      amount: payment.amount,
+      currency: payment.currency,
+      token,
+      reference: payment._id.toString(),
+    });
+    payment.providerPaymentId = authorization.providerPaymentId;
+
+    if (authorization.status === "failed") {
+      await payment.save();
+      return failPayment(payment, authorization.reason);
+    }
+
+    if (authorization.status === "pending") {
+      await payment.save();
+      return payment;
+    }
+
+    payment.status = "Authorized";
+    await payment.save();
+
+    const capture = await provider.capture(
+      payment.providerPaymentId,
+      payment.amount
+    );
+
+    if (capture.status === "succeeded") {
+      return completePayment(payment, order);
+    }
+
+    if (capture.status === "failed") {
+      return failPayment(payment, capture.reason);
+    }
+
+    return payment;
+  } catch (err) {
+    // Don't leave the order blocked by a payment that will never settle
+    await failPayment(payment, "Payment provider error");
+    throw err;
+  }
+};
+
+// Collect the cash of a cash on delivery order once it is delivered
+export const captureCashOnDelivery = async (order) => {
+  if (
+    order.paymentMethod !== "Cash On Delivery" ||
+    order.paymentStatus === "Completed"
+  ) {
+    return null;
+  }
+
+  const provider = getProvider("cash");
+  const authorization = await provider.authorize({
+    amount: order.total,
+    reference: order._id.toString(),
+  });
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      order: order._id,
+      user: order.userId,
+      provider: provider.name,
+      method: order.paymentMethod,
+      amount: order.total,
+      status: "Authorized",
+      providerPaymentId: authorization.providerPaymentId,
+    });
+  } catch (err) {
+    // Already being collected
+    if (err.code === 11000) {
+      return Payment.findActiveByOrder(order._id);
+    }
+    throw err;
+  }
+
+  await provider.capture(payment.providerPaymentId, payment.amount);
+
+  return completePayment(payment, order);
+};
+
+// Refund a completed payment, in full unless an amount is given
+export const refundPayment = async (payment, { amount, reason } = {}) => {
+  const refundAmount = roundMoney(amount ?? payment.refundableAmount());
+  if (refundAmount <= 0) {
+    throw new Error("Nothing to refund");
+  }
+
+  // Claim the amount first so concurrent refunds can't exceed the payment
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: "Completed",
+      $expr: {
+        $lte: [
+          { $round: [{ $add: ["$refundedAmount", refundAmount] }, 2] },
+          "$amount",
+        ],
+      },
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new Error("Refund exceeds the refundable amount");
+  }
+
+  let result;
+  try {
+    result = await getProvider(claimed.provider).refund(
+      claimed.providerPaymentId,
+      refundAmount
+    );
+    if (result.status === "failed") {
+      throw new Error(result.reason || "Refund failed");
+    }
+  } catch (err) {
+    await Payment.updateOne(
+      { _id: claimed._id },
+      { $inc: { refundedAmount: -refundAmount } }
+    );
+    throw err;
+  }
+
+  claimed.refunds.push({
+    amount: refundAmount,
+    providerRefundId: result.providerRefundId,
+    reason,
+  });
+  const fullyRefunded = roundMoney(claimed.refundedAmount) >= claimed.amount;
+  if (fullyRefunded) {
+    claimed.status = "Refunded";
+  }
+  await claimed.save();
+
+  await Order.updateOne(
+    { _id: claimed.order },
+    { paymentStatus: fullyRefunded ? "Refunded" : "Partially Refunded" }
+  );
+
+  return claimed;
+};
+
+// Settle the payment of a cancelled order: refund it if it was captured,
+// otherwise void it
+export const cancelOrderPayment = async (order) => {
+  const payment = await Payment.findActiveByOrder(order._id);
+  if (!payment) return null;
+
+  if (payment.status === "Completed") {
+    return refundPayment(payment, { reason: "Order cancelled" });
+  }
+
+  const voided = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["Pending", "Authorized"] } },
+    { status: "Voided" },
+    { new: true }
+  );
+
+  if (voided?.providerPaymentId) {
+    await getProvider(voided.provider).void(voided.providerPaymentId);
+  }
+
+  return voided;
+};
+
+// Refund a cancelled fulfillment's share of an order that was paid for
+export const refundFulfillment = async (order, fulfillment) => {
+  const payment = await Payment.findActiveByOrder(order._id);
+  if (!payment || payment.status !== "Completed") return null;
+
+  const amount = Math.min(
+    order.getFulfillmentTotal(fulfillment),
+    payment.refundableAmount()
+  );
+  if (amount <= 0) return null;
+
+  return refundPayment(payment, { amount, reason: "Fulfillment cancelled" });
+};
+
+// Apply a verified webhook event from a provider. Events are matched to
+// payments by the provider's payment id, and each is applied at most once.
+export const handleWebhookEvent = async (providerName, event) => {
+  if (!event.id || !event.providerPaymentId) return null;
+
+  const payment = await Payment.findOne({
+    provider: providerName,
+    providerPaymentId: event.providerPaymentId,
+  });
+  if (!payment || payment.webhookEventIds.includes(event.id)) {
+    return null;
+  }
+
+  let result = payment;
+  if (event.type === "payment.succeeded") {
+    result = await completePayment(payment);
+  } else if (event.type === "payment.failed") {
+    result = await failPayment(payment, event.reason);
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $addToSet: { webhookEventIds: event.id } }
+  );
+
+  return result;
+};
@@ -0,0 +1,195 @@
+import Product from "../models/Product.js";
+import TaxRule from "../models/TaxRule.js";
+import { roundMoney } from "../utils/money.js";
+import { getShippingOptions, selectShippingOption } from "./shipping.js";
+
+export const TAX_RATE = 0.08; // 8% tax rate where no tax rule applies
+
+// Tax owed on lines ({ productId, category, amount }) shipped to an address,
+// using the most specific tax rule for it. Without an address the tax is
+// estimated at the default rate and has no per-line breakdown. Tax of
+// tax-inclusive rules is already part of the line amounts.
+export const calculateTax = async (lines, address = null) => {
+  if (!address) {
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    return {
+      tax: roundMoney(subtotal * TAX_RATE),
+      taxInclusive: false,
+      taxBreakdown: [],
+    };
+  }
+
+  const rule = await TaxRule.findForAddress(address);
+  const taxInclusive = Boolean(rule?.inclusive);
+
+  const taxBreakdown = lines.map((line) => {
+    const rate = rule ? rule.rateFor(line.category) : TAX_RATE;
+
+    return {
+      productId: line.productId.toString(),
+      category: line.category,
+      rate,
+      amount: roundMoney(line.amount),
+      tax: roundMoney(
+        taxInclusive
+          ? line.amount - line.amount / (1 + rate)
+          : line.amount * rate
+      ),
+    };
+  });
+
+  return {
+    tax: roundMoney(taxBreakdown.reduce((sum, line) => sum + line.tax, 0)),
+    taxInclusive,
+    taxBreakdown,
+  };
+};
+
+// Total owed once tax, shipping and the coupon discount are applied
+export const calculateTotal = ({
+  subtotal,
+  tax,
+  taxInclusive,
+  shippingCost,
+  couponDiscount,
+}) =>
+  Math.max(
+    0,
+    roundMoney(
+      subtotal + (taxInclusive ? 0 : tax) + shippingCost - couponDiscount
+    )
+  );
+
+// Price order lines from the catalogue, ignoring any client-supplied prices,
+// ship and tax them to the shipping address at the requested speed (the
+// first one available by default) and apply the discount of an optional coupon
+export const priceOrderItems = async (
+  items,
+  coupon = null,
+  shippingAddress = null,
+  shippingSpeed = null
+) => {
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.productId) },
+  });
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const missing = items
+    .map((item) => item.productId)
+    .filter((productId) => !productsById.has(productId));
+
+  if (missing.length > 0) {
+    const err = new Error("Product not found");
+    err.productIds = missing;
+    throw err;
+  }
+
+  const pricedItems = items.map((item) => {
+    const product = productsById.get(item.productId);
+
+    return {
+      productId: item.productId,
+      name: product.name,
+      description: product.description,
+      quantity: item.quantity,
+      price: roundMoney(product.discountedPrice),
+      image: product.image,
+      vendor: product.vendor,
+    };
+  });
+
+  const subtotal = roundMoney(
+    pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+
+  const shippingOption = selectShippingOption(
+    await getShippingOptions(
+      pricedItems.map((item) => ({
+        productId: item.productId,
+        quantity: item.quantity,
+        amount: item.price * item.quantity,
+      })),
+      shippingAddress
+    ),
+    shippingSpeed
+  );
+  if (!shippingOption) {
+    throw new Error("Shipping option not available");
+  }
+  const shippingCost = shippingOption.cost;
+
+  const { tax, taxInclusive, taxBreakdown } = await calculateTax(
+    pricedItems.map((item) => ({
+      productId: item.productId,
+      category: productsById.get(item.productId).category,
+      amount: item.price * item.quantity,
+    })),
+    shippingAddress
+  );
+
+  const couponDiscount = coupon
+    ? coupon.calculateDiscount({
+        lines: pricedItems.map((item) => {
+          const product = productsById.get(item.productId);
+
+          return {
+            productId: item.productId,
+            category: product.category,
+            vendor: product.vendor,
+            amount: item.price * item.quantity,
+          };
+        }),
+        subtotal,
+        shippingCost,
+      })
+    : 0;
+
+  return {
+    items: pricedItems,
+    subtotal,
+    shippingCost,
+    shippingOption,
+    tax,
+    taxInclusive,
+    taxBreakdown,
+    couponCode: coupon ? coupon.code : undefined,
+    couponDiscount,
+    total: calculateTotal({
+      subtotal,
+      tax,
+      taxInclusive,
+      shippingCost,
+      couponDiscount,
+    }),
+  };
+};
+
+const ORDER_MONEY_FIELDS = [
+  "subtotal",
+  "shippingCost",
+  "tax",
+  "couponDiscount",
+  "total",
+];
+
+// List every client-supplied money field that disagrees with the server
+export const diffPricing = (quote, pricing) => {
+  const differences = [];
+  const compare = (field, received, expected) => {
+    if (received === undefined || received === null) return;
+    if (Math.abs(Number(received) - expected) >= 0.005) {
+      differences.push({ field, received: Number(received), expected });
+    }
+  };
+
+  (quote.items || []).forEach((item, index) => {
+    compare(`items[${index}].price`, item.price, pricing.items[index].price);
+  });
+  ORDER_MONEY_FIELDS.forEach((field) => {
+    compare(field, quote[field], pricing[field]);
+  });
+
+  return differences;
+};
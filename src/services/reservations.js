@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import Reservation from "../models/Reservation.js";
+
+const HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 15;
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Set the stock held for a cart line to `quantity` (0 releases the hold) and
+// return when the hold expires. Product.reservedQuantity always equals the
+// sum of the holds on the product, so both change in one transaction.
+export const holdStock = async (cartId, productId, quantity, session) => {
+  const run = async (session) => {
+    const existing = await Reservation.findOne({
+      cart: cartId,
+      product: productId,
+    }).session(session);
+    const delta = quantity - (existing ? existing.quantity : 0);
+
+    if (delta > 0) {
+      // Only hold units that aren't already on-hand for someone else
+      const { modifiedCount } = await Product.updateOne(
+        {
+          _id: productId,
+          $expr: {
+            $gte: [
+              { $subtract: ["$stockQuantity", "$reservedQuantity"] },
+              delta,
+            ],
+          },
+        },
+        { $inc: { reservedQuantity: delta } },
+        { session }
+      );
+
+      if (modifiedCount === 0) {
+        const product = await Product.findById(productId).session(session);
+        const err = new Error("Insufficient stock");
+        err.items = [
+          {
+            productId: productId.toString(),
+            name: product?.name,
+            requested: quantity,
+            available:
+              (product ? product.availableQuantity : 0) +
+              (existing ? existing.quantity : 0),
+          },
+        ];
+        throw err;
+      }
+    } else if (delta < 0) {
+      await Product.updateOne(
+        { _id: productId },
+        { $inc: { reservedQuantity: delta } },
+        { session }
+      );
+    }
+
+    if (quantity === 0) {
+      if (existing) await existing.deleteOne({ session });
+      return null;
+    }
+
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    await Reservation.updateOne(
+      { cart: cartId, product: productId },
+      { quantity, expiresAt },
+      { upsert: true, session }
+    );
+
+    return expiresAt;
+  };
+
+  // Join the caller's transaction, or run in a new one
+  if (session) {
+    return run(session);
+  }
+
+  let expiresAt;
+  await mongoose.connection.transaction(async (session) => {
+    expiresAt = await run(session);
+  });
+  return expiresAt;
+};
+
+// Hold stock for a cart line, then make the change to the cart with the
+// hold's expiry. The hold goes back to the line's current quantity if the
+// change fails.
+export const changeHeldLine = async (cart, productId, quantity, change) => {
+  const existingItem = cart.findItem(productId);
+  const previousQuantity = existingItem ? existingItem.quantity : 0;
+  const reservedUntil = await holdStock(cart._id, productId, quantity);
+
+  try {
+    await change(reservedUntil);
+  } catch (err) {
+    // Expired holds are swept anyway, so a failure here is only logged
+    await holdStock(cart._id, productId, previousQuantity).catch(
+      (releaseErr) => {
+        console.error("Error restoring stock hold:", releaseErr);
+      }
+    );
+    throw err;
+  }
+};
+
+// Release every hold of a cart
+export const releaseCart = async (cartId, session) => {
+  const reservations = await Reservation.find({ cart: cartId }).session(
+    session || null
+  );
+
+  for (const reservation of reservations) {
+    await holdStock(cartId, reservation.product, 0, session);
+  }
+};
+
+// Release every hold on a product
+export const releaseProductHolds = async (productId, session) => {
+  const reservations = await Reservation.find({ product: productId }).session(
+    session || null
+  );
+
+  for (const reservation of reservations) {
+    await holdStock(reservation.cart, productId, 0, session);
+  }
+};
+
+// Get the quantity a cart holds for each product
+export const getCartHolds = async (cartId, session) => {
+  const reservations = await Reservation.find({ cart: cartId }).session(
+    session || null
+  );
+
+  return new Map(
+    reservations.map((reservation) => [
+      reservation.product.toString(),
+      reservation.quantity,
+    ])
+  );
+};
+
+// Release holds that have run out, returning how many were released
+export const sweepExpiredHolds = async () => {
+  const expired = await Reservation.find({ expiresAt: { $lte: new Date() } });
+  let released = 0;
+
+  for (const reservation of expired) {
+    await mongoose.connection.transaction(async (session) => {
+      // Skip holds refreshed since they were read
+      const deleted = await Reservation.findOneAndDelete(
+        { _id: reservation._id, expiresAt: { $lte: new Date() } },
+        { session }
+      );
+
+      if (deleted) {
+        await Product.updateOne(
+          { _id: deleted.product },
+          { $inc: { reservedQuantity: -deleted.quantity } },
+          { session }
+        );
+        released += 1;
+      }
+    });
+  }
+
+  return released;
+};
+
+// Periodically release expired holds in the background
+export const startReservationSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    sweepExpiredHolds().catch((err) => {
+      console.error("Error sweeping expired reservations:", err);
+    });
+  }, intervalMs);
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,225 @@
+import Order from "../models/Order.js";
+import Payment from "../models/Payment.js";
+import Product from "../models/Product.js";
+import { roundMoney } from "../utils/money.js";
+import { publishOrderEvent, publishStatusChange } from "./events.js";
+import { refundPayment } from "./payments.js";
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 14;
+
+// Check that items can be returned and price them at what was paid. Throws
+// "Invalid return items" with the offending items.
+const buildReturnItems = (order, items) => {
+  const invalid = [];
+  const requested = new Map();
+
+  // Merge repeated lines for the same product
+  items.forEach(({ productId, quantity }) => {
+    requested.set(
+      productId,
+      (requested.get(productId) || 0) + parseInt(quantity)
+    );
+  });
+
+  const returnItems = [...requested].map(([productId, quantity]) => {
+    const item = order.items.find((line) => line.productId === productId);
+    const returnable = order.getReturnableQuantity(productId);
+
+    if (!item || quantity > returnable) {
+      invalid.push({ productId, requested: quantity, returnable });
+    }
+
+    return { productId, name: item?.name, quantity, price: item?.price };
+  });
+
+  if (invalid.length > 0) {
+    const err = new Error("Invalid return items");
+    err.items = invalid;
+    throw err;
+  }
+
+  return returnItems;
+};
+
+// Request a return of some of the delivered items of an order. The return
+// window opens when the items' fulfillment was delivered; items delivered
+// at different times are held to the earliest.
+export const requestReturn = async (order, { items, reason, photos }) => {
+  const returnItems = buildReturnItems(order, items);
+
+  const deliveredAt = returnItems.map(({ productId }) =>
+    order.getItemDeliveredAt(productId)
+  );
+  if (deliveredAt.some((date) => !date)) {
+    throw new Error("Only delivered items can be returned");
+  }
+
+  const windowEnd = new Date(
+    Math.min(...deliveredAt.map((date) => date.getTime())) +
+      RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+  if (new Date() > windowEnd) {
+    const err = new Error("Return window has closed");
+    err.windowEnd = windowEnd;
+    throw err;
+  }
+
+  order.returns.push({
+    items: returnItems,
+    reason,
+    photos,
+  });
+  await order.save();
+
+  const request = order.returns[order.returns.length - 1];
+  publishOrderEvent(order._id, "return", {
+    returnId: request._id,
+    productIds: request.items.map((item) => item.productId),
+    status: request.status,
+  });
+
+  return request;
+};
+
+// Work out the refund for returned items: their share of what was paid for
+// the goods, or everything still refundable once the whole order is back
+const calculateRefund = (order, request, payment) => {
+  const refundable = payment.refundableAmount();
+  const everythingReturned = order.items.every(
+    (item) => order.getReturnableQuantity(item.productId) === 0
+  );
+  if (everythingReturned) {
+    return refundable;
+  }
+
+  const itemsSubtotal = request.items.reduce(
+    (total, item) => total + item.price * item.quantity,
+    0
+  );
+  const goodsTotal = Math.max(0, order.total - order.shippingCost);
+  const share = order.subtotal > 0 ? itemsSubtotal / order.subtotal : 0;
+
+  return Math.min(refundable, roundMoney(goodsTotal * share));
+};
+
+// Put returned items back into stock
+const restockItems = async (items) => {
+  for (const item of items) {
+    await Product.updateOne(
+      { _id: item.productId },
+      { $inc: { stockQuantity: item.quantity }, inStock: true }
+    );
+  }
+};
+
+// Approve or reject a return request. Approving refunds the items, and
+// optionally restocks them; once everything is back the order is Returned.
+// Vendors may only review returns of their own products; returns mixing
+// vendors are left to admins.
+export const reviewReturn = async (
+  order,
+  returnId,
+  { approve, restock = false, note, actor, actorRole }
+) => {
+  const request = order.returns.id(returnId);
+  if (!request) {
+    throw new Error("Return not found");
+  }
+
+  if (
+    actorRole === "vendor" &&
+    !(await order.isSoldEntirelyBy(
+      request.items.map((item) => item.productId),
+      actor
+    ))
+  ) {
+    throw new Error("Unauthorized return review");
+  }
+
+  // Claim the request so it is only ever reviewed once
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      returns: { $elemMatch: { _id: returnId, status: "Requested" } },
+    },
+    {
+      $set: {
+        "returns.$.status": approve ? "Approved" : "Rejected",
+        "returns.$.reviewedBy": actor,
+        "returns.$.reviewedAt": new Date(),
+        "returns.$.reviewNote": note,
+      },
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new Error("Return has already been reviewed");
+  }
+
+  order = await Order.findById(order._id);
+  const reviewed = order.returns.id(returnId);
+
+  if (approve) {
+    const payment = await Payment.findOne({
+      order: order._id,
+      status: "Completed",
+    });
+
+    if (payment) {
+      const amount = calculateRefund(order, reviewed, payment);
+
+      if (amount > 0) {
+        try {
+          await refundPayment(payment, {
+            amount,
+            reason: `Return ${reviewed._id}`,
+          });
+        } catch (err) {
+          // Leave the request to be reviewed again
+          await Order.updateOne(
+            { _id: order._id, "returns._id": returnId },
+            { $set: { "returns.$.status": "Requested" } }
+          );
+          throw err;
+        }
+        reviewed.refundAmount = amount;
+      }
+    }
+
+    if (restock) {
+      await restockItems(reviewed.items);
+      reviewed.restocked = true;
+    }
+
+    // Pick up the payment status set by the refund
+    const { paymentStatus } = await Order.findById(order._id).select(
+      "paymentStatus"
+    );
+    order.paymentStatus = paymentStatus;
+
+    const everythingReturned = order.items.every(
+      (item) => order.getReturnableQuantity(item.productId) === 0
+    );
+    if (everythingReturned && order.canTransitionTo("Returned", actorRole)) {
+      order.transitionTo("Returned", {
+        actor,
+        actorRole,
+        reason: "All items returned",
+      });
+    }
+
+    await order.save();
+
+    if (order.status === "Returned") {
+      publishStatusChange(order);
+    }
+  }
+
+  publishOrderEvent(order._id, "return", {
+    returnId: reviewed._id,
+    productIds: reviewed.items.map((item) => item.productId),
+    status: reviewed.status,
+    refundAmount: reviewed.refundAmount,
+  });
+
+  return { order, request: reviewed };
+};
@@ -0,0 +1,140 @@
+import Product from "../models/Product.js";
+import ShippingZone, { SHIPPING_SPEEDS } from "../models/ShippingZone.js";
+import User from "../models/User.js";
+import { roundMoney } from "../utils/money.js";
+
+export const HEAVY_ITEM_KG = 20; // Heavier products pay the heavy surcharge
+
+// Where no shipping zone applies, shipments go standard at a flat rate, free
+// over a subtotal unless the vendor sets their own threshold
+export const SHIPPING_THRESHOLD = 50;
+export const BASE_SHIPPING = 5.99;
+const DEFAULT_RATES = [{ speed: "standard", price: BASE_SHIPPING }];
+
+// Quote one vendor's shipment in every speed its zone offers
+const quoteShipment = (shipment, zones, address) => {
+  const zone = zones.find(
+    (candidate) =>
+      (!candidate.vendor || candidate.vendor.equals(shipment.vendor)) &&
+      candidate.covers(address, shipment.origin)
+  );
+
+  const surcharge = zone
+    ? shipment.items.reduce((total, { product, quantity }) => {
+        const perUnit =
+          (product.weight > HEAVY_ITEM_KG ? zone.heavySurcharge : 0) +
+          (product.isBulky ? zone.bulkySurcharge : 0);
+        return total + perUnit * quantity;
+      }, 0)
+    : 0;
+  const freeStandard = shipment.subtotal > shipment.freeShippingThreshold;
+
+  return new Map(
+    (zone ? zone.rates : DEFAULT_RATES).map((rate) => [
+      rate.speed,
+      {
+        cost:
+          (rate.speed === "standard" && freeStandard ? 0 : rate.price) +
+          surcharge,
+        minDays: rate.minDays,
+        maxDays: rate.maxDays,
+      },
+    ])
+  );
+};
+
+// The built-in engine: each vendor's shipment is priced by the first shipping
+// zone covering it, and a speed is offered when every shipment can go at it
+const zoneRateEngine = {
+  async quote({ address, shipments }) {
+    const zones = await ShippingZone.findForVendors(
+      shipments.map((shipment) => shipment.vendor).filter(Boolean)
+    );
+    const quotes = shipments.map((shipment) =>
+      quoteShipment(shipment, zones, address)
+    );
+    const latest = (values) =>
+      values.some((value) => value === undefined)
+        ? undefined
+        : Math.max(...values);
+
+    return SHIPPING_SPEEDS.filter((speed) =>
+      quotes.every((quote) => quote.has(speed))
+    ).map((speed) => {
+      const parts = quotes.map((quote) => quote.get(speed));
+
+      return {
+        speed,
+        cost: roundMoney(parts.reduce((total, part) => total + part.cost, 0)),
+        minDays: latest(parts.map((part) => part.minDays)),
+        maxDays: latest(parts.map((part) => part.maxDays)),
+      };
+    });
+  },
+};
+
+// A rate engine is any object with an async quote({ address, shipments })
+// method resolving to the options it offers, as [{ speed, cost, minDays,
+// maxDays }]. Each shipment is one vendor's part of the order:
+// { vendor, origin, subtotal, freeShippingThreshold, items }, with items as
+// { product, quantity }.
+let rateEngine = zoneRateEngine;
+
+// Replace the rate engine
+export const setRateEngine = (engine) => {
+  rateEngine = engine;
+};
+
+// Get the rate engine
+export const getRateEngine = () => rateEngine;
+
+// Quote every shipping option for lines ({ productId, quantity, amount })
+// shipped to an address, which may not be known yet
+export const getShippingOptions = async (lines, address = null) => {
+  if (lines.length === 0) return [];
+
+  const products = await Product.find({
+    _id: { $in: lines.map((line) => line.productId) },
+  }).select("vendor weight isBulky");
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const vendors = await User.find({
+    _id: { $in: products.map((product) => product.vendor).filter(Boolean) },
+  }).select("vendorInfo.location vendorInfo.freeShippingThreshold");
+  const vendorsById = new Map(
+    vendors.map((vendor) => [vendor._id.toString(), vendor])
+  );
+
+  // Group the lines into one shipment per vendor
+  const shipments = new Map();
+  lines.forEach((line) => {
+    const product = productsById.get(line.productId.toString());
+    if (!product) return;
+
+    const key = product.vendor ? product.vendor.toString() : "";
+    if (!shipments.has(key)) {
+      const vendorInfo = vendorsById.get(key)?.vendorInfo;
+      shipments.set(key, {
+        vendor: product.vendor || null,
+        origin: vendorInfo?.location?.coordinates,
+        subtotal: 0,
+        freeShippingThreshold:
+          vendorInfo?.freeShippingThreshold ?? SHIPPING_THRESHOLD,
+        items: [],
+      });
+    }
+
+    const shipment = shipments.get(key);
+    shipment.subtotal += line.amount;
+    shipment.items.push({ product, quantity: line.quantity });
+  });
+
+  return rateEngine.quote({ address, shipments: [...shipments.values()] });
+};
+
+// Pick the option of a speed, or the first one when no speed is given
+export const selectShippingOption = (options, speed) =>
+  (speed ? options.find((option) => option.speed === speed) : options[0]) ||
+  null;
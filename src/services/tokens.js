@@ -0,0 +1,93 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { generateToken, hashToken } from "../utils/security.js";
+
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
+  });
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new session for a user and issue its first token pair
+export const createSession = async (user, req) => {
+  const secret = generateToken();
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry(),
+  });
+
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken: buildRefreshToken(session._id, secret),
+  };
+};
+
+// Exchange a refresh token for a new token pair. Presenting a refresh token
+// that was already rotated out revokes the whole session.
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new Error("Invalid refresh token");
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw new Error("Invalid refresh token");
+  }
+
+  const tokenHash = hashToken(secret);
+
+  if (session.previousTokenHashes.includes(tokenHash)) {
+    await session.revoke("Refresh token reuse detected");
+    throw new Error("Refresh token reuse detected");
+  }
+
+  if (tokenHash !== session.refreshTokenHash) {
+    throw new Error("Invalid refresh token");
+  }
+
+  // Rotate atomically so the same token can't be exchanged twice
+  const newSecret = generateToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(newSecret),
+      $push: { previousTokenHashes: tokenHash },
+      lastUsedAt: new Date(),
+      userAgent: req.get("User-Agent"),
+      ip: req.ip,
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke("Refresh token reuse detected");
+    throw new Error("Refresh token reuse detected");
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    throw new Error("Invalid refresh token");
+  }
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken: buildRefreshToken(session._id, newSecret),
+  };
+};
@@ -0,0 +1,2 @@
+// Round a money amount to 2 decimal places
+export const roundMoney = (amount) => parseFloat(amount.toFixed(2));
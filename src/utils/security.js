@@ -0,0 +1,32 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+
+// Generate a random opaque token
+export const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// Hash a token for storage; only the hash is ever persisted
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Hash a password with bcrypt
+export const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Sign a payload with HMAC-SHA256
+export const signPayload = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// Check a payload's signature in constant time
+export const verifySignature = (payload, signature, secret) => {
+  if (!secret || typeof signature !== "string") return false;
+
+  const expected = Buffer.from(signPayload(payload, secret));
+  const received = Buffer.from(signature);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
@@ -0,0 +1,72 @@
+import { body, query } from "express-validator";
+
+export const PAYMENT_METHODS = ["Credit Card", "PayPal", "Cash On Delivery"];
+
+const REQUIRED_ADDRESS_FIELDS = [
+  ["fullName", "Full name is required"],
+  ["streetAddress", "Street address is required"],
+  ["city", "City is required"],
+  ["state", "State is required"],
+  ["zipCode", "Zip code is required"],
+];
+
+// Validation chain for an address in the request body, nested under `field`
+// or at the top level when no field is given. When `idField` is given, the
+// address may instead be referenced by the ID of a saved address.
+export const addressValidation = (field, idField) => {
+  const path = (name) => (field ? `${field}.${name}` : name);
+
+  const chains = REQUIRED_ADDRESS_FIELDS.map(([name, message]) => {
+    let chain = body(path(name));
+    if (idField) {
+      // Skip when a saved address is referenced instead
+      chain = chain.if((value, { req }) => !req.body[idField]);
+    }
+
+    return chain.notEmpty().withMessage(message);
+  });
+
+  // Optional [longitude, latitude] of the address
+  chains.push(
+    body(path("location.coordinates"))
+      .optional()
+      .isArray({ min: 2, max: 2 })
+      .withMessage("Location must be [longitude, latitude]"),
+    body(path("location.coordinates[0]"))
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Longitude must be between -180 and 180"),
+    body(path("location.coordinates[1]"))
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Latitude must be between -90 and 90")
+  );
+
+  if (idField) {
+    chains.push(
+      body(idField).optional().isMongoId().withMessage("Invalid address ID")
+    );
+  }
+
+  return chains;
+};
+
+export const paymentMethodValidation = body("paymentMethod")
+  .isIn(PAYMENT_METHODS)
+  .withMessage("Invalid payment method");
+
+// Validation middleware for an optional ?from=&to= date range
+export const dateRangeValidation = [
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+];
+
+// Get the date range of a request, defaulting to the last `days` days
+export const getDateRange = (req, days = 30) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+  return { from, to };
+};
@@ -0,0 +1,87 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { vi } from "vitest";
+import Order from "../src/models/Order.js";
+import Session from "../src/models/Session.js";
+import User from "../src/models/User.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+// Fail queries nobody mocked at once rather than wait for a connection
+mongoose.set("bufferCommands", false);
+
+// A query resolving to a value, which can be chained like a Mongoose query
+export const query = (value) => {
+  const result = Promise.resolve(value);
+  ["select", "sort", "limit", "skip", "populate", "session"].forEach(
+    (method) => {
+      result[method] = () => result;
+    }
+  );
+  return result;
+};
+
+// Create a user of a role, verified unless told otherwise
+export const createUser = (role, overrides = {}) =>
+  new User({
+    name: `Test ${role}`,
+    email: `${role}-${new mongoose.Types.ObjectId()}@example.com`,
+    password: "hashed-password",
+    role,
+    emailVerified: true,
+    ...(role === "vendor" && {
+      vendorInfo: { businessName: "Test shop", isVerified: true },
+    }),
+    ...overrides,
+  });
+
+// Create an order with one item from each vendor, split by vendor
+export const createOrder = ({ customer, vendors, ...overrides }) => {
+  const order = new Order({
+    userId: customer._id,
+    items: vendors.map((vendor, index) => ({
+      productId: new mongoose.Types.ObjectId().toString(),
+      name: `Item ${index + 1}`,
+      quantity: 1,
+      price: 10,
+      vendor: vendor._id,
+    })),
+    paymentMethod: "Cash On Delivery",
+    subtotal: 10 * vendors.length,
+    total: 10 * vendors.length,
+    ...overrides,
+  });
+  order.splitByVendor();
+  return order;
+};
+
+// Let requests authenticate as the given users, and save documents without
+// a database. Returns a function building a user's Authorization header.
+export const mockDatabase = (users) => {
+  const sessions = new Map();
+
+  vi.spyOn(User, "findById").mockImplementation((id) =>
+    query(users.find((user) => user.id === id?.toString()) || null)
+  );
+  vi.spyOn(Session, "findById").mockImplementation((id) =>
+    query(sessions.get(id?.toString()) || null)
+  );
+  vi.spyOn(mongoose.Model.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+
+  return (user) => {
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: "hash",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    sessions.set(session.id, session);
+
+    const token = jwt.sign(
+      { id: user.id, sid: session.id },
+      process.env.JWT_SECRET
+    );
+    return `Bearer ${token}`;
+  };
+};
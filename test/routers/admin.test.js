@@ -0,0 +1,72 @@
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Order from "../../src/models/Order.js";
+import Product from "../../src/models/Product.js";
+import User from "../../src/models/User.js";
+import { createUser, mockDatabase } from "../helpers.js";
+
+const customer = createUser("customer");
+const vendor = createUser("vendor");
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+// A query cursor over documents, as streamed by the exports
+const cursor = (docs) => ({
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  },
+  close: async () => {},
+});
+
+describe("admin routes", () => {
+  let authorize;
+
+  beforeEach(() => {
+    authorize = mockDatabase([customer, vendor, driver, admin]);
+
+    [Order, Product, User].forEach((Model) => {
+      vi.spyOn(Model, "aggregate").mockResolvedValue([]);
+      vi.spyOn(Model, "countDocuments").mockResolvedValue(0);
+      vi.spyOn(Model, "find").mockReturnValue({
+        sort: () => ({ cursor: () => cursor([]) }),
+      });
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe.each([
+    "/api/admin/reports/summary",
+    "/api/admin/reports/orders",
+    "/api/admin/reports/users",
+    "/api/admin/reports/categories",
+    "/api/admin/exports/orders",
+    "/api/admin/exports/users",
+    "/api/admin/exports/products",
+  ])("GET %s", (path) => {
+    it("denies anonymous requests", async () => {
+      expect((await request(app).get(path)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", authorize(user));
+      expect(res.status).toBe(403);
+    });
+
+    it("allows an admin", async () => {
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", authorize(admin));
+      expect(res.status).toBe(200);
+    });
+  });
+});
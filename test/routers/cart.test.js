@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Cart from "../../src/models/Cart.js";
+import DeliverySlot from "../../src/models/DeliverySlot.js";
+import Product from "../../src/models/Product.js";
+import Reservation from "../../src/models/Reservation.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const unverifiedCustomer = createUser("customer", { emailVerified: false });
+const vendor = createUser("vendor");
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+describe("cart routes", () => {
+  let authorize;
+  let cart;
+  let product;
+
+  beforeEach(() => {
+    authorize = mockDatabase([
+      customer,
+      unverifiedCustomer,
+      vendor,
+      driver,
+      admin,
+    ]);
+
+    cart = new Cart({ user: customer._id, items: [] });
+    product = new Product({
+      name: "Sourdough",
+      description: "Baked this morning",
+      price: 6,
+      category: "Food",
+      vendor: vendor._id,
+      stockQuantity: 5,
+    });
+    vi.spyOn(Cart, "findOrCreateByUser").mockResolvedValue(cart);
+    vi.spyOn(Product, "findById").mockReturnValue(query(product));
+
+    // Holds run in a transaction of their own
+    vi.spyOn(mongoose.connection, "transaction").mockImplementation((run) =>
+      run(null)
+    );
+    vi.spyOn(Product, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    vi.spyOn(Reservation, "updateOne").mockResolvedValue({});
+    vi.spyOn(Reservation.prototype, "deleteOne").mockResolvedValue({});
+
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("POST /api/cart/items", () => {
+    const add = (quantity) =>
+      request(app)
+        .post("/api/cart/items")
+        .set("Authorization", authorize(customer))
+        .send({ productId: product.id, quantity });
+
+    it("refuses products with no stock left", async () => {
+      product.stockQuantity = 0;
+
+      expect((await add(1)).status).toBe(400);
+      expect(Product.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("gives back the stock held for a line it couldn't add", async () => {
+      const hold = new Reservation({
+        cart: cart._id,
+        product: product._id,
+        quantity: 2,
+      });
+      vi.spyOn(Reservation, "findOne")
+        .mockReturnValueOnce(query(null))
+        .mockReturnValueOnce(query(hold));
+      vi.spyOn(Cart.prototype, "addItem").mockRejectedValue(
+        new Error("Write conflict")
+      );
+
+      expect((await add(2)).status).toBe(500);
+      expect(Product.updateOne).toHaveBeenLastCalledWith(
+        { _id: product._id },
+        { $inc: { reservedQuantity: -2 } },
+        { session: null }
+      );
+      expect(hold.deleteOne).toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/cart/checkout", () => {
+    const checkout = (user) => {
+      const req = request(app).post("/api/cart/checkout");
+      if (user) req.set("Authorization", authorize(user));
+      return req.send({
+        shippingAddress: {
+          fullName: "Test Customer",
+          streetAddress: "1 Main St",
+          city: "Portland",
+          state: "OR",
+          zipCode: "97201",
+          country: "US",
+          phone: "555-0100",
+        },
+        paymentMethod: "Cash On Delivery",
+      });
+    };
+
+    it("denies anonymous requests", async () => {
+      expect((await checkout(null)).status).toBe(401);
+    });
+
+    it("denies users with an unverified email", async () => {
+      expect((await checkout(unverifiedCustomer)).status).toBe(403);
+    });
+
+    // Everyone can shop; an empty cart is as far as these requests get
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+      ["admin", admin],
+    ])("allows a %s", async (role, user) => {
+      const res = await checkout(user);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Cart is empty");
+    });
+  });
+
+  describe("GET /api/cart/delivery-slots", () => {
+    beforeEach(() => {
+      vi.spyOn(Product, "find").mockReturnValue({
+        session: () => ({ distinct: async () => [vendor._id] }),
+      });
+      vi.spyOn(DeliverySlot, "findAvailable").mockReturnValue(query([]));
+    });
+
+    it("lets guests see the slots of their cart", async () => {
+      const res = await request(app).get("/api/cart/delivery-slots");
+      expect(res.status).toBe(200);
+    });
+
+    it("lists the slots per vendor of the cart", async () => {
+      const res = await request(app)
+        .get("/api/cart/delivery-slots")
+        .set("Authorization", authorize(customer));
+      expect(res.status).toBe(200);
+      expect(res.body.vendors).toEqual([{ vendor: vendor.id, slots: [] }]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Coupon from "../../src/models/Coupon.js";
+import CouponRedemption from "../../src/models/CouponRedemption.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const vendor = createUser("vendor");
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+const couponId = new mongoose.Types.ObjectId().toString();
+const couponBody = { code: "SAVE10", type: "percentage", value: 10 };
+
+// Every coupon route, with what an admin gets back
+const ROUTES = [
+  ["get", "/api/coupons", null, 200],
+  ["get", `/api/coupons/${couponId}`, null, 200],
+  ["post", "/api/coupons", couponBody, 201],
+  ["put", `/api/coupons/${couponId}`, couponBody, 200],
+  ["delete", `/api/coupons/${couponId}`, null, 200],
+];
+
+describe("coupon routes", () => {
+  let authorize;
+
+  beforeEach(() => {
+    authorize = mockDatabase([customer, vendor, driver, admin]);
+
+    const coupon = new Coupon({ _id: couponId, ...couponBody });
+    vi.spyOn(Coupon, "find").mockReturnValue(query([coupon]));
+    vi.spyOn(Coupon, "findById").mockReturnValue(query(coupon));
+    vi.spyOn(Coupon, "findByIdAndDelete").mockReturnValue(query(coupon));
+    vi.spyOn(CouponRedemption, "find").mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe.each(ROUTES)("%s %s", (method, path, body, allowedStatus) => {
+    const send = (user) => {
+      const req = request(app)[method](path);
+      if (user) req.set("Authorization", authorize(user));
+      return body ? req.send(body) : req;
+    };
+
+    it("denies anonymous requests", async () => {
+      const res = await send(null);
+      expect(res.status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      const res = await send(user);
+      expect(res.status).toBe(403);
+    });
+
+    it("allows an admin", async () => {
+      const res = await send(admin);
+      expect(res.status).toBe(allowedStatus);
+    });
+  });
+});
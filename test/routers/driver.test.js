@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Driver from "../../src/models/Driver.js";
+import Order from "../../src/models/Order.js";
+import { createOrder, createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const unverifiedCustomer = createUser("customer", { emailVerified: false });
+const vendor = createUser("vendor");
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+const driverId = new mongoose.Types.ObjectId().toString();
+const vehicle = { vehicle: { type: "Bicycle" } };
+
+describe("driver routes", () => {
+  let authorize;
+  let profile;
+  let order;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  beforeEach(() => {
+    authorize = mockDatabase([
+      customer,
+      unverifiedCustomer,
+      vendor,
+      driver,
+      admin,
+    ]);
+
+    profile = new Driver({
+      _id: driverId,
+      user: driver._id,
+      status: "Approved",
+      availability: "available",
+      ...vehicle,
+    });
+    vi.spyOn(Driver, "findByUser").mockImplementation(async (userId) =>
+      userId.toString() === driver.id ? profile : null
+    );
+    vi.spyOn(Driver, "find").mockReturnValue(query([profile]));
+    vi.spyOn(Driver, "countDocuments").mockResolvedValue(1);
+    vi.spyOn(Driver, "findOneAndUpdate").mockReturnValue(query(profile));
+    vi.spyOn(mongoose.connection, "transaction").mockImplementation((run) =>
+      run(null)
+    );
+
+    order = createOrder({ customer, vendors: [vendor] });
+    vi.spyOn(Order, "find").mockReturnValue(query([]));
+    vi.spyOn(Order, "findOneAndUpdate").mockReturnValue(query(order));
+    vi.spyOn(Order, "findById").mockReturnValue(query(null));
+    vi.spyOn(Order, "findOne").mockReturnValue(query(null));
+
+    // Notifications need a database and log their failures
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("PUT /api/drivers/me", () => {
+    const path = "/api/drivers/me";
+
+    it("denies anonymous requests", async () => {
+      expect((await send("put", path, null, vehicle)).status).toBe(401);
+    });
+
+    it.each([
+      ["user with an unverified email", unverifiedCustomer],
+      ["vendor", vendor],
+      ["admin", admin],
+    ])("denies a %s", async (role, user) => {
+      expect((await send("put", path, user, vehicle)).status).toBe(403);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["driver", driver],
+    ])("allows a %s", async (role, user) => {
+      expect((await send("put", path, user, vehicle)).status).toBe(200);
+    });
+  });
+
+  describe.each([
+    ["get", "/api/drivers/applications", null],
+    ["patch", `/api/drivers/applications/${driverId}`, { decision: "approve" }],
+  ])("%s %s", (method, path, body) => {
+    it("denies anonymous requests", async () => {
+      expect((await send(method, path, null, body)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      expect((await send(method, path, user, body)).status).toBe(403);
+    });
+
+    it("allows an admin", async () => {
+      expect((await send(method, path, admin, body)).status).toBe(200);
+    });
+  });
+
+  // Drivers reach the missing orders' routes and are told they're not found
+  describe.each([
+    ["patch", "/api/drivers/me/availability", { online: true }, 200],
+    ["patch", "/api/drivers/me/location", { latitude: 1, longitude: 2 }, 200],
+    ["get", "/api/drivers/orders/available", null, 200],
+    ["post", "/api/drivers/orders/:id/accept", null, 200],
+    ["post", "/api/drivers/orders/:id/decline", null, 404],
+    ["post", "/api/drivers/orders/:id/pickup", null, 404],
+    ["post", "/api/drivers/orders/:id/deliver", null, 404],
+  ])("%s %s", (method, template, body, status) => {
+    const path = () => template.replace(":id", order.id);
+
+    it("denies anonymous requests", async () => {
+      expect((await send(method, path(), null, body)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["admin", admin],
+    ])("denies a %s", async (role, user) => {
+      expect((await send(method, path(), user, body)).status).toBe(403);
+    });
+
+    it("allows a driver", async () => {
+      expect((await send(method, path(), driver, body)).status).toBe(status);
+    });
+  });
+});
@@ -0,0 +1,565 @@
+import mongoose from "mongoose";
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Coupon from "../../src/models/Coupon.js";
+import Driver from "../../src/models/Driver.js";
+import Order from "../../src/models/Order.js";
+import Payment from "../../src/models/Payment.js";
+import Product from "../../src/models/Product.js";
+import ShippingZone from "../../src/models/ShippingZone.js";
+import TaxRule from "../../src/models/TaxRule.js";
+import User from "../../src/models/User.js";
+import { publishOrderEvent } from "../../src/services/events.js";
+import { createOrder, createUser, mockDatabase, query } from "../helpers.js";
+
+const owner = createUser("customer");
+const otherCustomer = createUser("customer");
+const unverifiedCustomer = createUser("customer", { emailVerified: false });
+const vendorA = createUser("vendor");
+const vendorB = createUser("vendor");
+const outsideVendor = createUser("vendor");
+const unverifiedVendor = createUser("vendor", { emailVerified: false });
+const driver = createUser("driver");
+const otherDriver = createUser("driver");
+const admin = createUser("admin");
+
+const USERS = [
+  owner,
+  otherCustomer,
+  unverifiedCustomer,
+  vendorA,
+  vendorB,
+  outsideVendor,
+  unverifiedVendor,
+  driver,
+  otherDriver,
+  admin,
+];
+
+// Mark a fulfillment delivered
+const deliver = (fulfillment) => {
+  fulfillment.status = "Delivered";
+  fulfillment.statusHistory.push({ status: "Delivered", from: "Confirmed" });
+};
+
+describe("order routes", () => {
+  let authorize;
+  let order;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  const fulfillmentOf = (vendor) => order.getFulfillmentFor(vendor._id);
+
+  beforeEach(() => {
+    authorize = mockDatabase(USERS);
+
+    order = createOrder({
+      customer: owner,
+      vendors: [vendorA, vendorB],
+      driver: driver._id,
+    });
+    vi.spyOn(Order, "findById").mockReturnValue(query(order));
+    vi.spyOn(Order, "findByOrderId").mockReturnValue(query(order));
+    vi.spyOn(Order, "findByUserId").mockReturnValue(query([order]));
+    vi.spyOn(Order, "find").mockReturnValue(query([order]));
+    vi.spyOn(Order, "countDocuments").mockResolvedValue(1);
+    vi.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    vi.spyOn(Payment, "findOne").mockReturnValue(query(null));
+
+    // Follow-ups like dispatch need a database and log their failures
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("POST /api/orders", () => {
+    it("denies anonymous requests", async () => {
+      expect((await send("post", "/api/orders", null, {})).status).toBe(401);
+    });
+
+    it("denies users with an unverified email", async () => {
+      const res = await send("post", "/api/orders", unverifiedCustomer, {});
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe("EMAIL_NOT_VERIFIED");
+    });
+
+    it("allows verified users", async () => {
+      // Past the guards, the empty order fails validation
+      const res = await send("post", "/api/orders", owner, {});
+      expect(res.status).toBe(400);
+    });
+
+    describe("placing an order", () => {
+      let product;
+
+      const place = (body = {}) =>
+        send("post", "/api/orders", owner, {
+          items: [{ productId: product.id, quantity: 1 }],
+          shippingAddress: {
+            fullName: "Test customer",
+            streetAddress: "1 Main St",
+            city: "Springfield",
+            state: "IL",
+            zipCode: "62701",
+          },
+          paymentMethod: "Cash On Delivery",
+          ...body,
+        });
+
+      beforeEach(() => {
+        product = new Product({
+          name: "Sourdough",
+          description: "Baked this morning",
+          price: 6,
+          category: "Food",
+          vendor: vendorA._id,
+          stockQuantity: 5,
+        });
+        vi.spyOn(Product, "find").mockReturnValue(query([product]));
+        vi.spyOn(Product, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+        vi.spyOn(User, "find").mockReturnValue(query([]));
+        vi.spyOn(ShippingZone, "findForVendors").mockResolvedValue([]);
+        vi.spyOn(TaxRule, "findForAddress").mockResolvedValue(null);
+        vi.spyOn(mongoose.connection, "transaction").mockImplementation((run) =>
+          run(null)
+        );
+      });
+
+      it("prices the order on the server", async () => {
+        const res = await place();
+        expect(res.status).toBe(201);
+        expect(res.body.subtotal).toBe(6);
+      });
+
+      it("takes the items out of stock", async () => {
+        expect((await place()).status).toBe(201);
+        expect(Product.updateOne).toHaveBeenCalledWith(
+          expect.objectContaining({ _id: product.id, inStock: true }),
+          expect.anything(),
+          { session: null }
+        );
+      });
+
+      it.each([
+        ["out of stock", { stockQuantity: 0 }],
+        ["marked out of stock", { inStock: false }],
+        ["archived", { isArchived: true }],
+      ])("refuses products that are %s", async (state, fields) => {
+        product.set(fields);
+
+        const res = await place();
+        expect(res.status).toBe(409);
+        expect(res.body.items[0].available).toBe(0);
+        expect(Product.updateOne).not.toHaveBeenCalled();
+      });
+
+      it("taxes the order in the shipping address's default country", async () => {
+        expect((await place()).status).toBe(201);
+        expect(TaxRule.findForAddress).toHaveBeenCalledWith(
+          expect.objectContaining({ country: "United States" })
+        );
+      });
+
+      it("refuses coupons that take nothing off the order", async () => {
+        const coupon = new Coupon({
+          code: "BIGSPEND",
+          type: "fixed",
+          value: 10,
+          minSubtotal: 100,
+        });
+        vi.spyOn(Coupon, "findByCode").mockReturnValue(query(coupon));
+        vi.spyOn(Coupon, "redeem").mockResolvedValue(true);
+
+        const res = await place({ couponCode: "BIGSPEND" });
+        expect(res.status).toBe(400);
+        expect(Coupon.redeem).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe("GET /api/orders", () => {
+    it("denies anonymous requests", async () => {
+      expect((await send("get", "/api/orders", null)).status).toBe(401);
+    });
+
+    it("allows any user", async () => {
+      expect((await send("get", "/api/orders", owner)).status).toBe(200);
+    });
+  });
+
+  describe("GET /api/orders/fulfillments", () => {
+    const path = "/api/orders/fulfillments";
+
+    it("denies anonymous requests", async () => {
+      expect((await send("get", path, null)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", owner],
+      ["driver", driver],
+      ["admin", admin],
+    ])("denies a %s", async (role, user) => {
+      expect((await send("get", path, user)).status).toBe(403);
+    });
+
+    it("allows a vendor, showing only their part", async () => {
+      const res = await send("get", path, vendorA);
+      expect(res.status).toBe(200);
+      expect(res.body.orders[0].fulfillments).toHaveLength(1);
+      expect(res.body.orders[0].total).toBeUndefined();
+    });
+  });
+
+  describe.each(["", "/timeline"])("GET /api/orders/:id%s", (suffix) => {
+    const path = () => `/api/orders/${order.id}${suffix}`;
+
+    it("denies anonymous requests", async () => {
+      expect((await send("get", path(), null)).status).toBe(401);
+    });
+
+    it.each([
+      ["another customer", otherCustomer],
+      ["vendor outside the order", outsideVendor],
+      ["driver of another order", otherDriver],
+    ])("denies %s", async (role, user) => {
+      expect((await send("get", path(), user)).status).toBe(403);
+    });
+
+    it.each([
+      ["the order's owner", owner],
+      ["a vendor of the order", vendorA],
+      ["the order's driver", driver],
+      ["an admin", admin],
+    ])("allows %s", async (role, user) => {
+      expect((await send("get", path(), user)).status).toBe(200);
+    });
+  });
+
+  describe("GET /api/orders/:id/timeline", () => {
+    const path = () => `/api/orders/${order.id}/timeline`;
+
+    beforeEach(() => {
+      order.transitionFulfillment(fulfillmentOf(vendorB), "Preparing", {
+        actorRole: "vendor",
+      });
+    });
+
+    it("shows vendors only their own fulfillment's history", async () => {
+      const res = await send("get", path(), vendorA);
+      expect(res.body.fulfillmentId).toBe(fulfillmentOf(vendorA).id);
+      expect(res.body.status).toBe(fulfillmentOf(vendorA).status);
+      expect(res.body.timeline).toHaveLength(
+        fulfillmentOf(vendorA).statusHistory.length
+      );
+    });
+
+    it("shows the owner the order's history", async () => {
+      const res = await send("get", path(), owner);
+      expect(res.body.fulfillmentId).toBeUndefined();
+      expect(res.body.timeline).toHaveLength(order.statusHistory.length);
+    });
+  });
+
+  describe("GET /api/orders/:id", () => {
+    it("shows vendors only their own part of the order", async () => {
+      const res = await send("get", `/api/orders/${order.id}`, vendorA);
+      expect(res.body.items).toHaveLength(1);
+      expect(res.body.fulfillments).toHaveLength(1);
+      expect(res.body.total).toBeUndefined();
+    });
+  });
+
+  describe("GET /api/orders/:id/stream", () => {
+    let server;
+    let controller;
+
+    // Open the stream as a user and read its events as they arrive
+    const openStream = async (user) => {
+      server = app.listen(0);
+      controller = new AbortController();
+      const res = await fetch(
+        `http://127.0.0.1:${server.address().port}/api/orders/${
+          order.id
+        }/stream`,
+        {
+          headers: user ? { Authorization: authorize(user) } : {},
+          signal: controller.signal,
+        }
+      );
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = "";
+
+      // Resolve to the data of the next event
+      const nextEvent = async () => {
+        while (!buffered.includes("\n\n")) {
+          const { value } = await reader.read();
+          buffered += decoder.decode(value);
+        }
+        const end = buffered.indexOf("\n\n");
+        const event = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        return JSON.parse(event.split("data: ")[1]);
+      };
+
+      return { res, nextEvent };
+    };
+
+    afterEach(() => {
+      controller?.abort();
+      server?.closeAllConnections();
+      server?.close();
+    });
+
+    it("denies anonymous requests", async () => {
+      expect((await openStream(null)).res.status).toBe(401);
+    });
+
+    it("denies vendors outside the order", async () => {
+      expect((await openStream(outsideVendor)).res.status).toBe(403);
+    });
+
+    it("allows the order's owner", async () => {
+      const { res, nextEvent } = await openStream(owner);
+      expect(res.status).toBe(200);
+      expect((await nextEvent()).type).toBe("snapshot");
+    });
+
+    it("only sends vendors the events of their own fulfillment", async () => {
+      fulfillmentOf(vendorA).trackingNumber = "A-1";
+      order.trackingNumber = "ORDER-1";
+
+      const { nextEvent } = await openStream(vendorA);
+      const snapshot = await nextEvent();
+      expect(snapshot.data.trackingNumber).toBe("A-1");
+
+      publishOrderEvent(order._id, "tracking", {
+        fulfillmentId: fulfillmentOf(vendorB)._id,
+        trackingNumber: "B-1",
+      });
+      publishOrderEvent(order._id, "tracking", {
+        fulfillmentId: fulfillmentOf(vendorA)._id,
+        trackingNumber: "A-2",
+      });
+
+      const event = await nextEvent();
+      expect(event.type).toBe("tracking");
+      expect(event.data.trackingNumber).toBe("A-2");
+    });
+  });
+
+  describe.each([
+    ["status", { status: "Preparing" }],
+    ["tracking", { trackingNumber: "1Z999" }],
+  ])("PATCH /api/orders/:id/%s", (route, body) => {
+    const path = () => `/api/orders/${order.id}/${route}`;
+
+    it("denies anonymous requests", async () => {
+      expect((await send("patch", path(), null, body)).status).toBe(401);
+    });
+
+    it("denies vendors with an unverified email", async () => {
+      const res = await send("patch", path(), unverifiedVendor, body);
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe("EMAIL_NOT_VERIFIED");
+    });
+
+    it.each([
+      ["the order's owner", owner],
+      ["the order's driver", driver],
+      ["a vendor outside the order", outsideVendor],
+    ])("denies %s", async (role, user) => {
+      expect((await send("patch", path(), user, body)).status).toBe(403);
+    });
+
+    it.each([
+      ["a vendor of the order", vendorA],
+      ["an admin", admin],
+    ])("allows %s", async (role, user) => {
+      expect((await send("patch", path(), user, body)).status).toBe(200);
+    });
+  });
+
+  describe("PATCH /api/orders/:id/status", () => {
+    it("gives back the coupon of an order it cancels", async () => {
+      order.couponCode = "SAVE10";
+      vi.spyOn(Driver, "updateOne").mockResolvedValue({});
+      vi.spyOn(Coupon, "release").mockResolvedValue(true);
+
+      const res = await send("patch", `/api/orders/${order.id}/status`, admin, {
+        status: "Cancelled",
+      });
+      expect(res.status).toBe(200);
+      expect(Coupon.release).toHaveBeenCalledWith(order._id);
+    });
+  });
+
+  describe("POST /api/orders/:id/cancel", () => {
+    const path = () => `/api/orders/${order.id}/cancel`;
+
+    it("denies anonymous requests", async () => {
+      expect((await send("post", path(), null)).status).toBe(401);
+    });
+
+    it.each([
+      ["another customer", otherCustomer],
+      ["a vendor of the order", vendorA],
+      ["the order's driver", driver],
+    ])("denies %s", async (role, user) => {
+      expect((await send("post", path(), user)).status).toBe(403);
+    });
+
+    it.each([
+      ["the order's owner", owner],
+      ["an admin", admin],
+    ])("allows %s", async (role, user) => {
+      expect((await send("post", path(), user)).status).toBe(200);
+    });
+
+    it("gives back the coupon of an unpaid order", async () => {
+      order.couponCode = "SAVE10";
+      vi.spyOn(Driver, "updateOne").mockResolvedValue({});
+      vi.spyOn(Coupon, "release").mockResolvedValue(true);
+
+      expect((await send("post", path(), owner)).status).toBe(200);
+      expect(Coupon.release).toHaveBeenCalledWith(order._id);
+    });
+
+    it("keeps the coupon of a paid order", async () => {
+      order.couponCode = "SAVE10";
+      order.paymentStatus = "Completed";
+      vi.spyOn(Coupon, "release").mockResolvedValue(true);
+
+      expect((await send("post", path(), owner)).status).toBe(200);
+      expect(Coupon.release).not.toHaveBeenCalled();
+    });
+
+    it("refuses the owner once a vendor is preparing their part", async () => {
+      fulfillmentOf(vendorB).status = "Preparing";
+
+      const res = await send("post", path(), owner);
+      expect(res.status).toBe(400);
+      expect(fulfillmentOf(vendorB).status).toBe("Preparing");
+    });
+  });
+
+  describe.each([
+    ["status", { status: "Preparing" }],
+    ["tracking", { trackingNumber: "1Z999" }],
+  ])("PATCH /api/orders/:id/fulfillments/:fulfillmentId/%s", (route, body) => {
+    const path = () =>
+      `/api/orders/${order.id}/fulfillments/${fulfillmentOf(vendorA).id}/` +
+      route;
+
+    it("denies anonymous requests", async () => {
+      expect((await send("patch", path(), null, body)).status).toBe(401);
+    });
+
+    it.each([
+      ["the order's owner", owner],
+      ["another vendor of the order", vendorB],
+      ["a vendor outside the order", outsideVendor],
+      ["a vendor with an unverified email", unverifiedVendor],
+    ])("denies %s", async (role, user) => {
+      expect((await send("patch", path(), user, body)).status).toBe(403);
+    });
+
+    it.each([
+      ["the fulfillment's vendor", vendorA],
+      ["an admin", admin],
+    ])("allows %s", async (role, user) => {
+      expect((await send("patch", path(), user, body)).status).toBe(200);
+    });
+  });
+
+  describe("POST /api/orders/:id/returns", () => {
+    const path = () => `/api/orders/${order.id}/returns`;
+    const returnOf = (vendor) => ({
+      items: [
+        { productId: fulfillmentOf(vendor).items[0].productId, quantity: 1 },
+      ],
+      reason: "Arrived damaged",
+    });
+
+    beforeEach(() => {
+      deliver(fulfillmentOf(vendorA));
+    });
+
+    it("denies anonymous requests", async () => {
+      const res = await send("post", path(), null, returnOf(vendorA));
+      expect(res.status).toBe(401);
+    });
+
+    it("hides the order from other customers", async () => {
+      const res = await send("post", path(), otherCustomer, returnOf(vendorA));
+      expect(res.status).toBe(404);
+    });
+
+    it("allows the owner to return delivered items while others are in transit", async () => {
+      const res = await send("post", path(), owner, returnOf(vendorA));
+      expect(res.status).toBe(201);
+    });
+
+    it("refuses items that haven't been delivered", async () => {
+      const res = await send("post", path(), owner, returnOf(vendorB));
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("PATCH /api/orders/:id/returns/:returnId", () => {
+    let ownReturn;
+    let mixedReturn;
+
+    const path = (request) => `/api/orders/${order.id}/returns/${request.id}`;
+    const body = { decision: "approve" };
+
+    beforeEach(() => {
+      const itemOf = (vendor) => ({
+        ...fulfillmentOf(vendor).items[0].toObject(),
+        quantity: 1,
+      });
+
+      order.returns.push(
+        { items: [itemOf(vendorA)], reason: "Damaged" },
+        { items: [itemOf(vendorA), itemOf(vendorB)], reason: "Damaged" }
+      );
+      [ownReturn, mixedReturn] = order.returns;
+    });
+
+    it("denies anonymous requests", async () => {
+      expect((await send("patch", path(ownReturn), null, body)).status).toBe(
+        401
+      );
+    });
+
+    it.each([
+      ["the order's owner", owner],
+      ["a vendor outside the order", outsideVendor],
+      ["another vendor of the order", vendorB],
+    ])("denies %s", async (role, user) => {
+      const res = await send("patch", path(ownReturn), user, body);
+      expect(res.status).toBe(403);
+    });
+
+    it("allows the vendor of every returned item", async () => {
+      const res = await send("patch", path(ownReturn), vendorA, body);
+      expect(res.status).toBe(200);
+    });
+
+    it("leaves returns mixing vendors to admins", async () => {
+      const res = await send("patch", path(mixedReturn), vendorA, body);
+      expect(res.status).toBe(403);
+
+      const adminRes = await send("patch", path(mixedReturn), admin, body);
+      expect(adminRes.status).toBe(200);
+    });
+  });
+});
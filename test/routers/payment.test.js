@@ -0,0 +1,117 @@
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Order from "../../src/models/Order.js";
+import Payment from "../../src/models/Payment.js";
+import { createOrder, createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const otherCustomer = createUser("customer");
+const vendor = createUser("vendor");
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+describe("payment routes", () => {
+  let authorize;
+  let order;
+  let payment;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  beforeEach(() => {
+    authorize = mockDatabase([customer, otherCustomer, vendor, driver, admin]);
+
+    order = createOrder({ customer, vendors: [vendor] });
+    payment = new Payment({
+      order: order._id,
+      user: customer._id,
+      provider: "fake",
+      method: "Credit Card",
+      amount: order.total,
+      status: "Completed",
+    });
+    vi.spyOn(Order, "findById").mockReturnValue(query(order));
+    vi.spyOn(Order, "updateOne").mockResolvedValue({});
+    vi.spyOn(Payment, "find").mockReturnValue(query([payment]));
+    vi.spyOn(Payment, "findById").mockReturnValue(query(payment));
+    vi.spyOn(Payment, "findOneAndUpdate").mockImplementation(
+      (filter, { $inc }) => {
+        payment.refundedAmount += $inc.refundedAmount;
+        return query(payment);
+      }
+    );
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("POST /api/payments/orders/:orderId", () => {
+    it("denies anonymous requests", async () => {
+      const res = await send("post", `/api/payments/orders/${order.id}`, null);
+      expect(res.status).toBe(401);
+    });
+
+    it.each([
+      ["another customer", otherCustomer],
+      ["vendor", vendor],
+      ["driver", driver],
+      ["admin", admin],
+    ])("doesn't find the order for %s", async (role, user) => {
+      const res = await send("post", `/api/payments/orders/${order.id}`, user);
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /api/payments/orders/:orderId", () => {
+    const path = () => `/api/payments/orders/${order.id}`;
+
+    it("denies anonymous requests", async () => {
+      expect((await send("get", path(), null)).status).toBe(401);
+    });
+
+    it.each([
+      ["another customer", otherCustomer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies %s", async (role, user) => {
+      expect((await send("get", path(), user)).status).toBe(403);
+    });
+
+    it.each([
+      ["the order's owner", customer],
+      ["an admin", admin],
+    ])("allows %s", async (role, user) => {
+      expect((await send("get", path(), user)).status).toBe(200);
+    });
+  });
+
+  describe("POST /api/payments/:id/refund", () => {
+    const refund = (user) =>
+      send("post", `/api/payments/${payment.id}/refund`, user, { amount: 5 });
+
+    it("denies anonymous requests", async () => {
+      expect((await refund(null)).status).toBe(401);
+    });
+
+    it.each([
+      ["the payer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies %s", async (role, user) => {
+      expect((await refund(user)).status).toBe(403);
+      expect(payment.refundedAmount).toBe(0);
+    });
+
+    it("allows an admin", async () => {
+      const res = await refund(admin);
+      expect(res.status).toBe(200);
+      expect(res.body.refundedAmount).toBe(5);
+    });
+  });
+});
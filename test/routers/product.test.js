@@ -0,0 +1,161 @@
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Product from "../../src/models/Product.js";
+import Reservation from "../../src/models/Reservation.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const owner = createUser("vendor");
+const otherVendor = createUser("vendor");
+const unverifiedVendor = createUser("vendor", {
+  vendorInfo: { businessName: "New shop", isVerified: false },
+});
+const unverifiedEmailVendor = createUser("vendor", { emailVerified: false });
+const admin = createUser("admin");
+
+const productBody = {
+  name: "Sourdough",
+  description: "Baked this morning",
+  price: 6,
+  category: "Food",
+};
+
+describe("product routes", () => {
+  let authorize;
+  let product;
+
+  beforeEach(() => {
+    authorize = mockDatabase([
+      customer,
+      owner,
+      otherVendor,
+      unverifiedVendor,
+      unverifiedEmailVendor,
+      admin,
+    ]);
+
+    product = new Product({ ...productBody, vendor: owner._id });
+    vi.spyOn(Product, "findById").mockReturnValue(query(product));
+    vi.spyOn(Reservation, "find").mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("POST /api/products", () => {
+    const create = (user, body = productBody) => {
+      const req = request(app).post("/api/products").send(body);
+      return user ? req.set("Authorization", authorize(user)) : req;
+    };
+
+    it("denies anonymous requests", async () => {
+      expect((await create(null)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["unverified vendor", unverifiedVendor],
+      ["vendor with an unverified email", unverifiedEmailVendor],
+    ])("denies a %s", async (role, user) => {
+      expect((await create(user)).status).toBe(403);
+    });
+
+    it.each([
+      ["verified vendor", owner],
+      ["admin", admin],
+    ])("allows a %s", async (role, user) => {
+      expect((await create(user)).status).toBe(201);
+    });
+
+    it("ignores ratings, reserved stock and the vendor in the body", async () => {
+      const res = await create(owner, {
+        ...productBody,
+        rating: 5,
+        numReviews: 100,
+        reservedQuantity: 7,
+        vendor: otherVendor.id,
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.rating).toBe(0);
+      expect(res.body.numReviews).toBe(0);
+      expect(res.body.reservedQuantity).toBe(0);
+      expect(res.body.vendor).toBe(owner.id);
+    });
+  });
+
+  describe("PUT /api/products/:id", () => {
+    const update = (user, body = productBody) => {
+      const req = request(app).put(`/api/products/${product.id}`).send(body);
+      return user ? req.set("Authorization", authorize(user)) : req;
+    };
+
+    it("denies anonymous requests", async () => {
+      expect((await update(null)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["unverified vendor", unverifiedVendor],
+      ["vendor of another product", otherVendor],
+    ])("denies a %s", async (role, user) => {
+      expect((await update(user)).status).toBe(403);
+    });
+
+    it.each([
+      ["product's vendor", owner],
+      ["admin", admin],
+    ])("allows the %s", async (role, user) => {
+      expect((await update(user)).status).toBe(200);
+    });
+
+    it("keeps ratings, reserved stock and the vendor", async () => {
+      const res = await update(owner, {
+        ...productBody,
+        rating: 5,
+        reservedQuantity: 7,
+        vendor: otherVendor.id,
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.rating).toBe(0);
+      expect(res.body.reservedQuantity).toBe(0);
+      expect(res.body.vendor).toBe(owner.id);
+    });
+  });
+
+  describe("DELETE /api/products/:id", () => {
+    const remove = (user) => {
+      const req = request(app).delete(`/api/products/${product.id}`);
+      return user ? req.set("Authorization", authorize(user)) : req;
+    };
+
+    it("denies anonymous requests", async () => {
+      expect((await remove(null)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["unverified vendor", unverifiedVendor],
+      ["vendor of another product", otherVendor],
+      ["vendor with an unverified email", unverifiedEmailVendor],
+    ])("denies a %s", async (role, user) => {
+      expect((await remove(user)).status).toBe(403);
+    });
+
+    it.each([
+      ["product's vendor", owner],
+      ["admin", admin],
+    ])("allows the %s", async (role, user) => {
+      expect((await remove(user)).status).toBe(200);
+    });
+
+    it("archives the product and releases its holds", async () => {
+      expect((await remove(owner)).status).toBe(200);
+      expect(product.isArchived).toBe(true);
+      expect(Reservation.find).toHaveBeenCalledWith({ product: product._id });
+    });
+  });
+});
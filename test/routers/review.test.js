@@ -0,0 +1,171 @@
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Order from "../../src/models/Order.js";
+import Product from "../../src/models/Product.js";
+import Review from "../../src/models/Review.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const otherCustomer = createUser("customer");
+const vendor = createUser("vendor");
+const otherVendor = createUser("vendor");
+const unverifiedVendor = createUser("vendor", {
+  vendorInfo: { businessName: "New shop", isVerified: false },
+});
+const unverifiedEmailVendor = createUser("vendor", { emailVerified: false });
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+describe("review routes", () => {
+  let authorize;
+  let product;
+  let review;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  const reviewsPath = () => `/api/products/${product.id}/reviews`;
+
+  beforeEach(() => {
+    authorize = mockDatabase([
+      customer,
+      otherCustomer,
+      vendor,
+      otherVendor,
+      unverifiedVendor,
+      unverifiedEmailVendor,
+      driver,
+      admin,
+    ]);
+
+    product = new Product({
+      name: "Sourdough",
+      description: "Baked this morning",
+      price: 6,
+      category: "Food",
+      vendor: vendor._id,
+    });
+    review = new Review({
+      product: product._id,
+      user: customer._id,
+      rating: 4,
+    });
+    vi.spyOn(Product, "findById").mockReturnValue(query(product));
+    vi.spyOn(Product, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    vi.spyOn(Review, "findOne").mockReturnValue(query(review));
+    vi.spyOn(Review.prototype, "deleteOne").mockResolvedValue({});
+    vi.spyOn(Order, "exists").mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // The change to the product's review count and rating total
+  const ratingChange = () => {
+    const [[, [{ $set }]]] = Product.updateOne.mock.calls;
+    return {
+      count: $set.numReviews.$add[1],
+      rating: $set.ratingTotal.$add[1],
+    };
+  };
+
+  describe("POST /api/products/:productId/reviews", () => {
+    it("denies customers who haven't received the product", async () => {
+      Order.exists.mockResolvedValue(null);
+
+      const res = await send("post", reviewsPath(), customer, { rating: 5 });
+      expect(res.status).toBe(403);
+    });
+
+    it("adds the review to the product's rating", async () => {
+      const res = await send("post", reviewsPath(), customer, { rating: 5 });
+      expect(res.status).toBe(201);
+      expect(ratingChange()).toEqual({ count: 1, rating: 5 });
+    });
+  });
+
+  describe("PUT /api/products/:productId/reviews/:reviewId", () => {
+    it("denies other customers", async () => {
+      const path = `${reviewsPath()}/${review.id}`;
+      const res = await send("put", path, otherCustomer, { rating: 1 });
+      expect(res.status).toBe(403);
+    });
+
+    it("changes the product's rating by the difference", async () => {
+      const path = `${reviewsPath()}/${review.id}`;
+      const res = await send("put", path, customer, { rating: 1 });
+      expect(res.status).toBe(200);
+      expect(ratingChange()).toEqual({ count: 0, rating: -3 });
+    });
+  });
+
+  describe("DELETE /api/products/:productId/reviews/:reviewId", () => {
+    it.each([
+      ["author", customer],
+      ["admin", admin],
+    ])("allows the %s, taking the review out", async (role, user) => {
+      const res = await send("delete", `${reviewsPath()}/${review.id}`, user);
+      expect(res.status).toBe(200);
+      expect(ratingChange()).toEqual({ count: -1, rating: -4 });
+    });
+
+    it("denies other customers", async () => {
+      const path = `${reviewsPath()}/${review.id}`;
+      expect((await send("delete", path, otherCustomer)).status).toBe(403);
+    });
+  });
+
+  describe("POST /api/products/:productId/reviews/:reviewId/reply", () => {
+    const reply = (user) =>
+      send("post", `${reviewsPath()}/${review.id}/reply`, user, {
+        text: "Thanks!",
+      });
+
+    beforeEach(() => {
+      // The reply route reads the product's vendor off the review
+      review.product = product;
+    });
+
+    it("denies anonymous requests", async () => {
+      expect((await reply(null)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["driver", driver],
+      ["vendor of another product", otherVendor],
+    ])("denies a %s", async (role, user) => {
+      expect((await reply(user)).status).toBe(403);
+    });
+
+    it.each([
+      ["an unverified business", unverifiedVendor],
+      ["an unverified email", unverifiedEmailVendor],
+    ])("denies the product's vendor with %s", async (state, user) => {
+      product.vendor = user._id;
+      expect((await reply(user)).status).toBe(403);
+    });
+
+    it.each([
+      ["product's vendor", vendor],
+      ["admin", admin],
+    ])("allows the %s", async (role, user) => {
+      expect((await reply(user)).status).toBe(200);
+    });
+  });
+
+  it.each([
+    ["put", "", { rating: 5 }],
+    ["delete", "", null],
+    ["post", "/reply", { text: "Thanks!" }],
+  ])("%s rejects invalid review IDs", async (method, suffix, body) => {
+    const path = `${reviewsPath()}/not-an-id${suffix}`;
+    expect((await send(method, path, admin, body)).status).toBe(400);
+  });
+});
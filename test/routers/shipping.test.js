@@ -0,0 +1,74 @@
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import ShippingZone from "../../src/models/ShippingZone.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const vendor = createUser("vendor");
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+const zoneBody = {
+  name: "Downtown",
+  zipPrefixes: ["970"],
+  rates: [{ speed: "standard", price: 5 }],
+};
+
+describe("shipping zone routes", () => {
+  let authorize;
+  let zone;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  beforeEach(() => {
+    authorize = mockDatabase([customer, vendor, driver, admin]);
+
+    zone = new ShippingZone(zoneBody);
+    vi.spyOn(ShippingZone, "find").mockReturnValue(query([zone]));
+    vi.spyOn(ShippingZone, "findById").mockReturnValue(query(zone));
+    vi.spyOn(ShippingZone, "findByIdAndDelete").mockReturnValue(query(zone));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe.each([
+    ["get", "/api/shipping-zones", null, 200],
+    ["post", "/api/shipping-zones", zoneBody, 201],
+    ["get", "/api/shipping-zones/:id", null, 200],
+    ["put", "/api/shipping-zones/:id", zoneBody, 200],
+    ["delete", "/api/shipping-zones/:id", null, 200],
+  ])("%s %s", (method, template, body, status) => {
+    const path = () => template.replace(":id", zone.id);
+
+    it("denies anonymous requests", async () => {
+      expect((await send(method, path(), null, body)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      expect((await send(method, path(), user, body)).status).toBe(403);
+    });
+
+    it("allows an admin", async () => {
+      expect((await send(method, path(), admin, body)).status).toBe(status);
+    });
+  });
+
+  it("exposes zones with an id", async () => {
+    const res = await send("get", `/api/shipping-zones/${zone.id}`, admin);
+    expect(res.body.id).toBe(zone.id);
+    expect(res.body).not.toHaveProperty("_id");
+    expect(res.body).not.toHaveProperty("__v");
+  });
+});
@@ -0,0 +1,72 @@
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import TaxRule from "../../src/models/TaxRule.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const vendor = createUser("vendor");
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+const ruleBody = { name: "Oregon", country: "US", state: "OR", rate: 0 };
+
+describe("tax rule routes", () => {
+  let authorize;
+  let rule;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  beforeEach(() => {
+    authorize = mockDatabase([customer, vendor, driver, admin]);
+
+    rule = new TaxRule(ruleBody);
+    vi.spyOn(TaxRule, "find").mockReturnValue(query([rule]));
+    vi.spyOn(TaxRule, "findById").mockReturnValue(query(rule));
+    vi.spyOn(TaxRule, "findByIdAndDelete").mockReturnValue(query(rule));
+    vi.spyOn(TaxRule, "findForAddress").mockResolvedValue(rule);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe.each([
+    ["get", "/api/tax-rules", null, 200],
+    ["post", "/api/tax-rules", ruleBody, 201],
+    ["post", "/api/tax-rules/lookup", { country: "US" }, 200],
+    ["get", "/api/tax-rules/:id", null, 200],
+    ["put", "/api/tax-rules/:id", ruleBody, 200],
+    ["delete", "/api/tax-rules/:id", null, 200],
+  ])("%s %s", (method, template, body, status) => {
+    const path = () => template.replace(":id", rule.id);
+
+    it("denies anonymous requests", async () => {
+      expect((await send(method, path(), null, body)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      expect((await send(method, path(), user, body)).status).toBe(403);
+    });
+
+    it("allows an admin", async () => {
+      expect((await send(method, path(), admin, body)).status).toBe(status);
+    });
+  });
+
+  it("exposes rules with an id", async () => {
+    const res = await send("get", `/api/tax-rules/${rule.id}`, admin);
+    expect(res.body.id).toBe(rule.id);
+    expect(res.body).not.toHaveProperty("_id");
+    expect(res.body).not.toHaveProperty("__v");
+  });
+});
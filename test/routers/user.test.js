@@ -0,0 +1,80 @@
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import Product from "../../src/models/Product.js";
+import User from "../../src/models/User.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const address = {
+  fullName: "Test Customer",
+  streetAddress: "1 Main St",
+  city: "Portland",
+  state: "OR",
+  zipCode: "97201",
+  country: "US",
+  phone: "555-0100",
+};
+
+const roles = ["customer", "vendor", "driver", "admin"];
+
+describe("user routes", () => {
+  let users;
+  let authorize;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  beforeEach(() => {
+    users = Object.fromEntries(
+      roles.map((role) => [role, createUser(role, { addresses: [address] })])
+    );
+    authorize = mockDatabase(Object.values(users));
+
+    vi.spyOn(Product, "find").mockReturnValue(query([]));
+    vi.spyOn(User, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe.each([
+    ["get", "/api/users/me/addresses", null, 200],
+    ["post", "/api/users/me/addresses", address, 201],
+    ["put", "/api/users/me/addresses/:addressId", address, 200],
+    ["patch", "/api/users/me/addresses/:addressId/default", null, 200],
+    ["delete", "/api/users/me/addresses/:addressId", null, 200],
+    ["get", "/api/users/me/favorites", null, 200],
+  ])("%s %s", (method, template, body, status) => {
+    // The path to the user's own address, or to another user's
+    const path = (owner) =>
+      template.replace(":addressId", owner.addresses[0].id);
+
+    it("denies anonymous requests", async () => {
+      const res = await send(method, path(users.customer), null, body);
+      expect(res.status).toBe(401);
+    });
+
+    it.each(roles)("allows a %s their own", async (role) => {
+      const user = users[role];
+      expect((await send(method, path(user), user, body)).status).toBe(status);
+    });
+
+    if (template.includes(":addressId")) {
+      it("doesn't find another user's address", async () => {
+        const res = await send(
+          method,
+          path(users.vendor),
+          users.customer,
+          body
+        );
+        expect(res.status).toBe(404);
+        expect(users.vendor.addresses).toHaveLength(1);
+      });
+    }
+  });
+});
@@ -0,0 +1,277 @@
+import mongoose from "mongoose";
+import request from "supertest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import app from "../../src/app.js";
+import DeliverySlot from "../../src/models/DeliverySlot.js";
+import Order from "../../src/models/Order.js";
+import Product from "../../src/models/Product.js";
+import VendorApplication from "../../src/models/VendorApplication.js";
+import { createUser, mockDatabase, query } from "../helpers.js";
+
+const customer = createUser("customer");
+const unverifiedCustomer = createUser("customer", { emailVerified: false });
+const vendor = createUser("vendor");
+const unverifiedVendor = createUser("vendor", {
+  vendorInfo: { businessName: "New shop", isVerified: false },
+});
+const driver = createUser("driver");
+const admin = createUser("admin");
+
+const applicationId = new mongoose.Types.ObjectId().toString();
+const slotId = new mongoose.Types.ObjectId().toString();
+const applicationBody = {
+  businessName: "Corner bakery",
+  businessAddress: "1 Main St",
+  businessPhone: "555-0100",
+  businessEmail: "bakery@example.com",
+};
+
+describe("vendor routes", () => {
+  let authorize;
+  let applicant;
+  let application;
+
+  // Send a request as a user, or anonymously without one
+  const send = (method, path, user, body) => {
+    const req = request(app)[method](path);
+    if (user) req.set("Authorization", authorize(user));
+    return body ? req.send(body) : req;
+  };
+
+  beforeEach(() => {
+    // Approving an application changes the applicant's role
+    applicant = createUser("customer");
+    authorize = mockDatabase([
+      customer,
+      unverifiedCustomer,
+      vendor,
+      unverifiedVendor,
+      driver,
+      admin,
+      applicant,
+    ]);
+
+    application = new VendorApplication({
+      _id: applicationId,
+      user: applicant._id,
+      ...applicationBody,
+    });
+    vi.spyOn(VendorApplication, "find").mockReturnValue(query([application]));
+    vi.spyOn(VendorApplication, "countDocuments").mockResolvedValue(1);
+    vi.spyOn(VendorApplication, "findOneAndUpdate").mockImplementation(() => {
+      application.status = "Approved";
+      return query(application);
+    });
+    vi.spyOn(mongoose.connection, "transaction").mockImplementation((run) =>
+      run(null)
+    );
+
+    // Notifications need a database and log their failures
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("POST /api/vendors/apply", () => {
+    const path = "/api/vendors/apply";
+
+    it("denies anonymous requests", async () => {
+      const res = await send("post", path, null, applicationBody);
+      expect(res.status).toBe(401);
+    });
+
+    it("denies users with an unverified email", async () => {
+      const res = await send("post", path, unverifiedCustomer, applicationBody);
+      expect(res.status).toBe(403);
+    });
+
+    it.each([
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("refuses a %s", async (role, user) => {
+      expect((await send("post", path, user, applicationBody)).status).toBe(
+        400
+      );
+    });
+
+    it("allows a customer", async () => {
+      const res = await send("post", path, customer, applicationBody);
+      expect(res.status).toBe(201);
+    });
+  });
+
+  describe("GET /api/vendors/applications/me", () => {
+    it("denies anonymous requests", async () => {
+      const res = await send("get", "/api/vendors/applications/me", null);
+      expect(res.status).toBe(401);
+    });
+
+    it("allows any user", async () => {
+      const res = await send("get", "/api/vendors/applications/me", customer);
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe.each([
+    ["get", "/api/vendors/applications", null],
+    [
+      "patch",
+      `/api/vendors/applications/${applicationId}`,
+      { decision: "approve" },
+    ],
+  ])("%s %s", (method, path, body) => {
+    it("denies anonymous requests", async () => {
+      expect((await send(method, path, null, body)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["vendor", vendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      expect((await send(method, path, user, body)).status).toBe(403);
+    });
+
+    it("allows an admin", async () => {
+      expect((await send(method, path, admin, body)).status).toBe(200);
+    });
+  });
+
+  describe("PATCH /api/vendors/applications/:id", () => {
+    const approve = () =>
+      send("patch", `/api/vendors/applications/${applicationId}`, admin, {
+        decision: "approve",
+      });
+
+    it("makes the applicant a verified vendor", async () => {
+      expect((await approve()).status).toBe(200);
+      expect(applicant.role).toBe("vendor");
+      expect(applicant.vendorInfo.isVerified).toBe(true);
+    });
+
+    it("refuses applicants who are no longer customers", async () => {
+      applicant.role = "driver";
+
+      expect((await approve()).status).toBe(409);
+      expect(applicant.role).toBe("driver");
+    });
+  });
+
+  describe.each(["/api/vendors/me/sales", "/api/vendors/me/dashboard"])(
+    "GET %s",
+    (path) => {
+      beforeEach(() => {
+        vi.spyOn(Order, "aggregate").mockResolvedValue([
+          { byStatus: [], sales: [], returnedUnits: [], topProducts: [] },
+        ]);
+        vi.spyOn(Product, "find").mockReturnValue(query([]));
+      });
+
+      it("denies anonymous requests", async () => {
+        expect((await send("get", path, null)).status).toBe(401);
+      });
+
+      it.each([
+        ["customer", customer],
+        ["unverified vendor", unverifiedVendor],
+        ["driver", driver],
+      ])("denies a %s", async (role, user) => {
+        expect((await send("get", path, user)).status).toBe(403);
+      });
+
+      it.each([
+        ["verified vendor", vendor],
+        ["admin", admin],
+      ])("allows a %s", async (role, user) => {
+        expect((await send("get", path, user)).status).toBe(200);
+      });
+
+      it("counts the orders with lines the vendor sold", async () => {
+        await send("get", path, vendor);
+
+        const [[match]] = Order.aggregate.mock.calls[0];
+        expect(match.$match.$or).toEqual([
+          { "items.vendor": vendor._id },
+          { "fulfillments.vendor": vendor._id },
+        ]);
+      });
+    }
+  );
+
+  describe("PATCH /api/vendors/me", () => {
+    const update = (user) =>
+      send("patch", "/api/vendors/me", user, {
+        businessDescription: "Fresh bread daily",
+      });
+
+    it("denies anonymous requests", async () => {
+      expect((await update(null)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["unverified vendor", unverifiedVendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      expect((await update(user)).status).toBe(403);
+    });
+
+    it("updates a verified vendor's storefront", async () => {
+      const res = await update(vendor);
+      expect(res.status).toBe(200);
+      expect(vendor.vendorInfo.businessDescription).toBe("Fresh bread daily");
+    });
+  });
+
+  describe.each([
+    ["get", "/api/vendors/me/delivery-slots", null, 200],
+    [
+      "post",
+      "/api/vendors/me/delivery-slots",
+      {
+        slots: [
+          {
+            start: "2030-01-01T09:00:00Z",
+            end: "2030-01-01T10:00:00Z",
+            capacity: 5,
+          },
+        ],
+      },
+      201,
+    ],
+    ["patch", `/api/vendors/me/delivery-slots/${slotId}`, { capacity: 5 }, 200],
+    ["delete", `/api/vendors/me/delivery-slots/${slotId}`, null, 200],
+  ])("%s %s", (method, path, body, status) => {
+    beforeEach(() => {
+      const slot = new DeliverySlot({
+        _id: slotId,
+        vendor: vendor._id,
+        start: new Date("2030-01-01T09:00:00Z"),
+        end: new Date("2030-01-01T10:00:00Z"),
+        capacity: 3,
+      });
+      vi.spyOn(DeliverySlot, "find").mockReturnValue(query([slot]));
+      vi.spyOn(DeliverySlot, "insertMany").mockResolvedValue([slot]);
+      vi.spyOn(DeliverySlot, "findOneAndUpdate").mockReturnValue(query(slot));
+      vi.spyOn(DeliverySlot, "findOneAndDelete").mockReturnValue(query(slot));
+    });
+
+    it("denies anonymous requests", async () => {
+      expect((await send(method, path, null, body)).status).toBe(401);
+    });
+
+    it.each([
+      ["customer", customer],
+      ["unverified vendor", unverifiedVendor],
+      ["driver", driver],
+    ])("denies a %s", async (role, user) => {
+      expect((await send(method, path, user, body)).status).toBe(403);
+    });
+
+    it("allows a verified vendor", async () => {
+      expect((await send(method, path, vendor, body)).status).toBe(status);
+    });
+  });
+});